@@ -28,1424 +28,7015 @@ export function drawRoundedRect(ctx, x, y, width, height, radius) {
     ctx.closePath();
 }
 
-// Main CanvasUIMark class
-export class CanvasUIMark {
-        constructor(canvas, options = {}) {
-            this.canvas = canvas;
-            this.ctx = canvas.getContext('2d');
-            this.controls = [];
-            this.focusIndex = -1;
-            this.modals = [];
-            this.toasts = [];
-            this.images = [];
-            this.texts = [];
-            
-            // Configuration
-            this.options = {
-                backgroundColor: options.backgroundColor || '#1a1a1a',
-                backgroundGradient: options.backgroundGradient || null,
-                ...options
-            };
+// Draw an atlas region (see CanvasUIMark.addAtlas) stretched over a rectangle. A region
+// with slice insets is drawn as a nine-slice: corners keep their size, edges stretch
+// along their side and the center fills the rest.
+export function drawSprite(ctx, sprite, x, y, width, height) {
+    const image = sprite.image;
+    if (!image || image.complete === false) return;
+    const slice = typeof sprite.slice === 'number' ? [sprite.slice, sprite.slice, sprite.slice, sprite.slice] : sprite.slice;
+    if (!slice) {
+        ctx.drawImage(image, sprite.x, sprite.y, sprite.width, sprite.height, x, y, width, height);
+        return;
+    }
 
-            // Input state
-            this.keys = {};
-            this.mouse = { x: 0, y: 0, buttons: 0 };
-            this.gamepad = null;
-            this.lastGamepadButtons = [];
+    // Corners shrink together when the rectangle is smaller than they are
+    const [top, right, bottom, left] = slice;
+    const scale = Math.min(1, width / (left + right || 1), height / (top + bottom || 1));
+    const sourceX = [sprite.x, sprite.x + left, sprite.x + sprite.width - right, sprite.x + sprite.width];
+    const sourceY = [sprite.y, sprite.y + top, sprite.y + sprite.height - bottom, sprite.y + sprite.height];
+    const targetX = [x, x + left * scale, x + width - right * scale, x + width];
+    const targetY = [y, y + top * scale, y + height - bottom * scale, y + height];
+    for (let row = 0; row < 3; row++) {
+        for (let column = 0; column < 3; column++) {
+            const sourceWidth = sourceX[column + 1] - sourceX[column];
+            const sourceHeight = sourceY[row + 1] - sourceY[row];
+            const targetWidth = targetX[column + 1] - targetX[column];
+            const targetHeight = targetY[row + 1] - targetY[row];
+            if (sourceWidth > 0 && sourceHeight > 0 && targetWidth > 0 && targetHeight > 0) {
+                ctx.drawImage(image, sourceX[column], sourceY[row], sourceWidth, sourceHeight,
+                    targetX[column], targetY[row], targetWidth, targetHeight);
+            }
+        }
+    }
+}
 
-            // Event callbacks
-            this.onEscape = null;
+// Regions of a texture atlas description: { name: { x, y, width, height, slice } }, or
+// TexturePacker's JSON ({ frames: { name: { frame: { x, y, w, h } } } }, or frames as an
+// array with filenames). slice is the nine-slice insets, one number or [top, right, bottom, left].
+function parseAtlas(image, description) {
+    const frames = description.frames || description;
+    const entries = Array.isArray(frames) ? frames.map(frame => [frame.filename, frame]) : Object.entries(frames);
+    const sprites = {};
+    for (let [name, region] of entries) {
+        const frame = region.frame || region;
+        sprites[name] = {
+            image,
+            x: frame.x,
+            y: frame.y,
+            width: frame.width !== undefined ? frame.width : frame.w,
+            height: frame.height !== undefined ? frame.height : frame.h,
+            slice: region.slice || null
+        };
+    }
+    return sprites;
+}
 
-            // Setup event listeners
-            this.setupEventListeners();
+// Skin states, as keys of a skin object or suffixes of atlas region names ('button:hover')
+const SKIN_STATES = ['normal', 'hover', 'focused', 'pressed', 'disabled', 'checked'];
+
+// Sprite for a skin in the first of the given states it has, else its normal look. A skin
+// is an atlas region name (its states are the regions 'name:hover' and so on), a sprite
+// or image, or an object of those by state: { normal: 'button', hover: 'button-lit' }.
+function getSkinSprite(skin, states, sprites) {
+    if (!skin) return null;
+    const byState = typeof skin === 'object' && SKIN_STATES.some(state => state in skin);
+    for (let state of states) {
+        const value = typeof skin === 'string' ? sprites[`${skin}:${state}`] : (byState ? skin[state] : null);
+        if (value) return toSprite(value, sprites);
+    }
+    return toSprite(byState ? skin.normal : skin, sprites);
+}
 
-            // Animation frame
-            this.lastFrameTime = 0;
-            this.animationFrameId = null;
-            this.start();
-        }
+// A sprite from a region name, a sprite, or a whole image or canvas
+function toSprite(value, sprites) {
+    if (!value) return null;
+    if (typeof value === 'string') return sprites[value] || null;
+    if (value.image) return value;
+    return { image: value, x: 0, y: 0, width: value.width, height: value.height, slice: null };
+}
 
-        setupEventListeners() {
-            // Keyboard events
-            window.addEventListener('keydown', (e) => this.handleKeyDown(e));
-            window.addEventListener('keyup', (e) => this.handleKeyUp(e));
+// Direction actions and the per-control overrides for spatial navigation
+const DIRECTIONS = { up: true, down: true, left: true, right: true };
+const DIRECTION_OVERRIDES = { up: 'navUp', down: 'navDown', left: 'navLeft', right: 'navRight' };
+
+// Default bindings from KeyboardEvent.key names to UI actions
+const DEFAULT_KEY_BINDINGS = {
+    'Enter': 'confirm',
+    ' ': 'confirm',
+    'Escape': 'cancel',
+    'Tab': 'next',
+    'Shift+Tab': 'previous',
+    'ArrowUp': 'up',
+    'ArrowDown': 'down',
+    'ArrowLeft': 'left',
+    'ArrowRight': 'right',
+    'PageUp': 'pageUp',
+    'PageDown': 'pageDown'
+};
+
+// Default bindings for the W3C "standard" gamepad layout
+const DEFAULT_GAMEPAD_BINDINGS = {
+    0: 'confirm',   // A / Cross
+    1: 'cancel',    // B / Circle
+    4: 'previous',  // Left bumper
+    5: 'next',      // Right bumper
+    12: 'up',
+    13: 'down',
+    14: 'left',
+    15: 'right'
+};
+
+// Default bindings from standard layout axes to analog actions
+const DEFAULT_GAMEPAD_AXES = {
+    0: 'moveX',     // Left stick, horizontal
+    1: 'moveY',     // Left stick, vertical
+    3: 'scrollY'    // Right stick, vertical
+};
+
+// Named anchor points as fractions of the viewport (and of the anchored item's size)
+const ANCHORS = {
+    'top-left': [0, 0], 'top': [0.5, 0], 'top-right': [1, 0],
+    'left': [0, 0.5], 'center': [0.5, 0.5], 'right': [1, 0.5],
+    'bottom-left': [0, 1], 'bottom': [0.5, 1], 'bottom-right': [1, 1]
+};
+
+// Default look. Themes passed to CanvasUIMark are filled in from this by createTheme().
+const DEFAULT_PALETTE = {
+    background: '#1a1a1a',   // Canvas background
+    surface: '#333333',      // Control backgrounds
+    surfaceHover: '#555555',
+    surfaceRaised: '#444444', // Modal buttons and toast actions
+    elevated: '#2a2a2a',     // Modal and toast backgrounds
+    highlight: 'rgba(255, 255, 255, 0.1)', // Faint tint over a background, e.g. ghost buttons on hover
+    border: '#666666',
+    text: '#ffffff',
+    textMuted: '#999999',    // Placeholders and switched-off toggles
+    textSecondary: '#cccccc', // Modal messages
+    accent: '#4CAF50',       // Focus, selection and filled tracks
+    accentHover: '#66BB6A',
+    selection: 'rgba(76, 175, 80, 0.4)', // Selected text in a TextInput
+    danger: '#F44336',
+    dangerHover: '#E57373',
+    info: '#2196F3',
+    success: '#4CAF50',
+    warning: '#FF9800',
+    knob: '#ffffff',
+    track: '#666666'
+};
+
+const DEFAULT_FONTS = {
+    body: '16px Arial',
+    small: '12px Arial',
+    message: '18px Arial',
+    toast: '14px Arial',
+    title: 'bold 24px Arial'
+};
+
+// Build a complete theme from a partial one: { palette, fonts, radius, borderWidth,
+// padding, focusRing, modal, toast, variants, controls }. Styles not given are derived
+// from the palette and fonts, so changing the palette alone reskins everything.
+export function createTheme(theme = {}) {
+    const palette = { ...DEFAULT_PALETTE, ...theme.palette };
+    const fonts = { ...DEFAULT_FONTS, ...theme.fonts };
+    const borderWidth = theme.borderWidth !== undefined ? theme.borderWidth : 2;
+    const toast = theme.toast || {};
+
+    return {
+        palette,
+        fonts,
+        radius: theme.radius || 0,
+        borderWidth,
+        padding: theme.padding !== undefined ? theme.padding : 10,
+        focusRing: { color: palette.accent, width: borderWidth, ...theme.focusRing },
+        modal: {
+            overlayColor: 'rgba(0, 0, 0, 0.7)',
+            backgroundColor: palette.elevated,
+            borderColor: palette.accent,
+            borderWidth: 3,
+            radius: 10,
+            titleFont: fonts.title,
+            titleColor: palette.text,
+            messageFont: fonts.message,
+            messageColor: palette.textSecondary,
+            buttonColor: palette.surfaceRaised,
+            buttonHoverColor: palette.surfaceHover,
+            buttonSelectedColor: palette.accent,
+            buttonBorderColor: palette.border,
+            buttonTextColor: palette.text,
+            buttonFont: fonts.body,
+            buttonRadius: 5,
+            scrollbarColor: palette.textMuted,
+            scrollbarTrackColor: palette.highlight,
+            skin: null,          // Frame in place of the background and border (see the skin option)
+            buttonSkin: null,
+            ...theme.modal
+        },
+        toast: {
+            backgroundColor: palette.elevated,
+            borderWidth: 3,
+            textColor: palette.text,
+            font: fonts.toast,
+            iconColor: palette.text,
+            iconFont: fonts.title,
+            progressHeight: 3,   // Bar showing the time left; 0 hides it
+            actionColor: palette.surfaceRaised,
+            actionHoverColor: palette.surfaceHover,
+            actionTextColor: palette.text,
+            actionFont: fonts.small,
+            skin: null,          // Background in place of the fill and border; types can have their own
+            ...toast,
+            types: {
+                info: { color: palette.info, icon: 'ℹ' },
+                success: { color: palette.success, icon: '✓' },
+                warning: { color: palette.warning, icon: '⚠' },
+                error: { color: palette.danger, icon: '✕' },
+                ...toast.types
+            }
+        },
+        // Named styles picked with a control's variant option
+        variants: {
+            primary: {
+                backgroundColor: palette.accent,
+                hoverColor: palette.accentHover,
+                borderColor: palette.accent,
+                focusColor: palette.text
+            },
+            danger: {
+                backgroundColor: palette.danger,
+                hoverColor: palette.dangerHover,
+                borderColor: palette.danger,
+                focusColor: palette.text
+            },
+            ghost: {
+                backgroundColor: 'transparent',
+                hoverColor: palette.highlight,
+                borderColor: 'transparent'
+            },
+            ...theme.variants
+        },
+        // Per control type styles, keyed by registered type name (e.g. { Button: { borderRadius: 8 } })
+        controls: { ...theme.controls }
+    };
+}
 
-            // Mouse events
-            this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-            this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-            this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-            this.canvas.addEventListener('click', (e) => this.handleClick(e));
+// Control options a theme provides for a control, its type (and base types) and variant
+function getThemeOptions(theme, control, variant) {
+    const palette = theme.palette;
+    const options = {
+        backgroundColor: palette.surface,
+        borderColor: palette.border,
+        textColor: palette.text,
+        focusColor: theme.focusRing.color,
+        focusWidth: theme.focusRing.width,
+        hoverColor: palette.surfaceHover,
+        mutedColor: palette.textMuted,
+        knobColor: palette.knob,
+        trackColor: palette.track,
+        selectionColor: palette.selection,
+        errorColor: palette.danger,
+        font: theme.fonts.body,
+        errorFont: theme.fonts.small,
+        borderWidth: theme.borderWidth,
+        padding: theme.padding,
+        borderRadius: theme.radius,
+        disabledAlpha: 0.5   // Opacity of disabled controls; 1 for skins with disabled frames
+    };
+
+    // Base classes first so Button styles win over Control ones
+    const names = [];
+    for (let proto = Object.getPrototypeOf(control); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        const name = getControlTypeName(proto.constructor);
+        if (name) {
+            names.unshift(name);
+        }
+    }
+    for (let name of names) {
+        Object.assign(options, theme.controls[name]);
+    }
+    if (variant && theme.variants[variant]) {
+        Object.assign(options, theme.variants[variant]);
+    }
+    return options;
+}
 
-            // Gamepad support
-            window.addEventListener('gamepadconnected', (e) => {
-                console.log('Gamepad connected:', e.gamepad.id);
-            });
+const DEFAULT_THEME = createTheme();
+
+// Focus cursor colors for players 1-4, reused in order after that
+const PLAYER_COLORS = ['#2196F3', '#F44336', '#FFEB3B', '#9C27B0'];
+
+// Where toasts stack (see the toastPosition option)
+const TOAST_POSITIONS = {
+    'top-left': { vertical: 'top', horizontal: 'left' },
+    'top': { vertical: 'top', horizontal: 'center' },
+    'top-right': { vertical: 'top', horizontal: 'right' },
+    'center': { vertical: 'center', horizontal: 'center' },
+    'bottom-left': { vertical: 'bottom', horizontal: 'left' },
+    'bottom': { vertical: 'bottom', horizontal: 'center' },
+    'bottom-right': { vertical: 'bottom', horizontal: 'right' }
+};
+
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+// Maps keys and gamepad buttons to UI actions ('confirm', 'cancel', 'up', 'down',
+// 'left', 'right', 'next', 'previous' or any custom name), and gamepad axes to analog
+// actions ('moveX', 'moveY', 'scrollY'). Gamepads use a profile chosen per controller, so non-standard
+// pads can have their own layout.
+export class InputMap {
+        constructor(options = {}) {
+            this.keyBindings = { ...DEFAULT_KEY_BINDINGS, ...options.keys };
+            this.gamepadProfiles = [];
+            this.addGamepadProfile('standard', { ...DEFAULT_GAMEPAD_BINDINGS, ...options.gamepad },
+                (gp) => gp.mapping === 'standard', { ...DEFAULT_GAMEPAD_AXES, ...options.gamepadAxes });
         }
 
-        // Get mouse position accounting for canvas scaling
-        getCanvasMousePosition(e) {
-            const rect = this.canvas.getBoundingClientRect();
-            const scaleX = this.canvas.width / rect.width;
-            const scaleY = this.canvas.height / rect.height;
-            
-            return {
-                x: (e.clientX - rect.left) * scaleX,
-                y: (e.clientY - rect.top) * scaleY
-            };
+        // Key name with modifiers, e.g. 'Shift+Tab' or 'Ctrl+s'. Shift is left out for
+        // printable keys because it already shows in the character.
+        getKeyName(e) {
+            const parts = [];
+            if (e.ctrlKey) parts.push('Ctrl');
+            if (e.altKey) parts.push('Alt');
+            if (e.metaKey) parts.push('Meta');
+            if (e.shiftKey && e.key.length !== 1) parts.push('Shift');
+            parts.push(e.key);
+            return parts.join('+');
         }
 
-        handleKeyDown(e) {
-            this.keys[e.key] = true;
-            
-            // Handle escape key
-            if (e.key === 'Escape') {
-                // Pass to modal first if one exists
-                if (this.modals.length > 0) {
-                    const modal = this.modals[this.modals.length - 1];
-                    if (modal.handleKeyDown) {
-                        modal.handleKeyDown(e);
-                    }
-                } else if (this.onEscape) {
-                    this.onEscape();
-                }
-                e.preventDefault();
-                return;
-            }
+        // Action for a key event; a binding with modifiers wins over the bare key
+        getKeyAction(e) {
+            return this.keyBindings[this.getKeyName(e)] || this.keyBindings[e.key] || null;
+        }
 
-            // Pass other keys to modal if one exists
-            if (this.modals.length > 0) {
-                const modal = this.modals[this.modals.length - 1];
-                if (modal.handleKeyDown) {
-                    modal.handleKeyDown(e);
-                }
-                return;
-            }
+        bindKey(key, action) {
+            this.keyBindings[key] = action;
+        }
 
-            // Handle tab navigation
-            if (e.key === 'Tab') {
-                e.preventDefault();
-                if (e.shiftKey) {
-                    this.focusPrevious();
-                } else {
-                    this.focusNext();
-                }
-                return;
-            }
+        unbindKey(key) {
+            delete this.keyBindings[key];
+        }
 
-            // Pass to focused control
-            if (this.focusIndex >= 0 && this.focusIndex < this.controls.length) {
-                const control = this.controls[this.focusIndex];
-                if (control.handleKeyDown) {
-                    control.handleKeyDown(e);
+        // Add or replace a gamepad profile. match picks the controllers it applies to:
+        // a substring of Gamepad.id, a RegExp tested against it, or a function (gamepad) => boolean.
+        // axes maps axis indexes to analog actions. Profiles added later are checked first.
+        addGamepadProfile(name, buttons, match, axes = DEFAULT_GAMEPAD_AXES) {
+            this.gamepadProfiles = this.gamepadProfiles.filter((profile) => profile.name !== name);
+            this.gamepadProfiles.unshift({ name, buttons: { ...buttons }, axes: { ...axes }, match });
+        }
+
+        // Name of the profile for a gamepad; pads no profile matches use 'standard'
+        getGamepadProfile(gamepad) {
+            for (let profile of this.gamepadProfiles) {
+                const match = profile.match;
+                if (!gamepad || !match) continue;
+                if ((typeof match === 'string' && gamepad.id.includes(match)) ||
+                    (match instanceof RegExp && match.test(gamepad.id)) ||
+                    (typeof match === 'function' && match(gamepad))) {
+                    return profile.name;
                 }
             }
+            return 'standard';
         }
 
-        handleKeyUp(e) {
-            this.keys[e.key] = false;
+        getGamepadButtons(profileName = 'standard') {
+            const profile = this.gamepadProfiles.find((p) => p.name === profileName);
+            return profile ? profile.buttons : {};
         }
 
-        handleMouseMove(e) {
-            const pos = this.getCanvasMousePosition(e);
-            this.mouse.x = pos.x;
-            this.mouse.y = pos.y;
+        getGamepadAction(gamepad, buttonIndex) {
+            return this.getGamepadButtons(this.getGamepadProfile(gamepad))[buttonIndex] || null;
         }
 
-        handleMouseDown(e) {
-            this.mouse.buttons |= (1 << e.button);
+        bindGamepadButton(buttonIndex, action, profileName = 'standard') {
+            this.getGamepadButtons(profileName)[buttonIndex] = action;
         }
 
-        handleMouseUp(e) {
-            this.mouse.buttons &= ~(1 << e.button);
+        unbindGamepadButton(buttonIndex, profileName = 'standard') {
+            delete this.getGamepadButtons(profileName)[buttonIndex];
         }
 
-        handleClick(e) {
-            const pos = this.getCanvasMousePosition(e);
-            
-            // Check modals first
-            if (this.modals.length > 0) {
-                const modal = this.modals[this.modals.length - 1];
-                modal.handleClick(pos.x, pos.y);
-                return;
-            }
-
-            // Check controls
-            for (let i = this.controls.length - 1; i >= 0; i--) {
-                const control = this.controls[i];
-                if (control.containsPoint(pos.x, pos.y)) {
-                    this.focusIndex = i;
-                    if (control.handleClick) {
-                        control.handleClick(pos.x, pos.y);
-                    }
-                    break;
-                }
-            }
+        getGamepadAxes(profileName = 'standard') {
+            const profile = this.gamepadProfiles.find((p) => p.name === profileName);
+            return profile ? profile.axes : {};
         }
 
-        updateGamepad() {
-            const gamepads = navigator.getGamepads();
-            if (!gamepads) return;
+        // Position (-1 to 1) of the axis bound to an analog action, 0 when none is
+        getGamepadAxisValue(gamepad, action) {
+            const axes = this.getGamepadAxes(this.getGamepadProfile(gamepad));
+            const index = Object.keys(axes).find((axis) => axes[axis] === action);
+            return index !== undefined ? gamepad.axes[index] || 0 : 0;
+        }
 
-            for (let gp of gamepads) {
-                if (gp) {
-                    this.gamepad = gp;
-                    
-                    // Check for button presses (compare with last frame)
-                    for (let i = 0; i < gp.buttons.length; i++) {
-                        const pressed = gp.buttons[i].pressed;
-                        const wasPressed = this.lastGamepadButtons[i] || false;
-                        
-                        if (pressed && !wasPressed) {
-                            this.handleGamepadButton(i);
-                        }
-                    }
-                    
-                    // Update button state
-                    this.lastGamepadButtons = gp.buttons.map(b => b.pressed);
-                    
-                    break;
-                }
-            }
+        bindGamepadAxis(axisIndex, action, profileName = 'standard') {
+            this.getGamepadAxes(profileName)[axisIndex] = action;
         }
 
-        handleGamepadButton(buttonIndex) {
-            // Pass to modal first if one exists
-            if (this.modals.length > 0) {
-                const modal = this.modals[this.modals.length - 1];
-                if (modal.handleGamepadButton) {
-                    modal.handleGamepadButton(buttonIndex);
-                }
-                return;
-            }
+        unbindGamepadAxis(axisIndex, profileName = 'standard') {
+            delete this.getGamepadAxes(profileName)[axisIndex];
+        }
 
-            // Button 0 (A/Cross) = Select
-            if (buttonIndex === 0) {
-                if (this.focusIndex >= 0 && this.focusIndex < this.controls.length) {
-                    const control = this.controls[this.focusIndex];
-                    if (control.activate) {
-                        control.activate();
-                    }
-                }
-            }
-            // Button 1 (B/Circle) = Exit/Escape
-            else if (buttonIndex === 1) {
-                if (this.onEscape) {
-                    this.onEscape();
+        // Remove every binding for an action from 'keyboard', 'gamepad' (one profile) or both
+        unbindAction(action, source = 'any', profileName = 'standard') {
+            if (source !== 'gamepad') {
+                for (let key of Object.keys(this.keyBindings)) {
+                    if (this.keyBindings[key] === action) delete this.keyBindings[key];
                 }
             }
-            // Button 12 = D-pad up
-            else if (buttonIndex === 12) {
-                this.focusPrevious();
-            }
-            // Button 13 = D-pad down
-            else if (buttonIndex === 13) {
-                this.focusNext();
-            }
-            // Button 14 = D-pad left
-            else if (buttonIndex === 14) {
-                if (this.focusIndex >= 0 && this.focusIndex < this.controls.length) {
-                    const control = this.controls[this.focusIndex];
-                    if (control.handleGamepadAxis) {
-                        control.handleGamepadAxis(-1);
-                    } else if (control.handleGamepadLeft) {
-                        control.handleGamepadLeft();
-                    }
+            if (source !== 'keyboard') {
+                const buttons = this.getGamepadButtons(profileName);
+                for (let button of Object.keys(buttons)) {
+                    if (buttons[button] === action) delete buttons[button];
                 }
             }
-            // Button 15 = D-pad right
-            else if (buttonIndex === 15) {
-                if (this.focusIndex >= 0 && this.focusIndex < this.controls.length) {
-                    const control = this.controls[this.focusIndex];
-                    if (control.handleGamepadAxis) {
-                        control.handleGamepadAxis(1);
-                    } else if (control.handleGamepadRight) {
-                        control.handleGamepadRight();
+        }
+
+        // Keys and gamepad buttons currently bound to an action, e.g. for a controls screen
+        getBindings(action, profileName = 'standard') {
+            const buttons = this.getGamepadButtons(profileName);
+            return {
+                keys: Object.keys(this.keyBindings).filter((key) => this.keyBindings[key] === action),
+                buttons: Object.keys(buttons).filter((b) => buttons[b] === action).map(Number)
+            };
+        }
+
+        // Swap confirm and cancel for one profile, or every profile (Nintendo-style layouts)
+        swapConfirmCancel(profileName = null) {
+            for (let profile of this.gamepadProfiles) {
+                if (profileName && profile.name !== profileName) continue;
+                for (let button of Object.keys(profile.buttons)) {
+                    if (profile.buttons[button] === 'confirm') {
+                        profile.buttons[button] = 'cancel';
+                    } else if (profile.buttons[button] === 'cancel') {
+                        profile.buttons[button] = 'confirm';
                     }
                 }
             }
         }
+    }
+
+// Edges and center of a control's rectangle
+function getBounds(control) {
+    return {
+        left: control.x,
+        top: control.y,
+        right: control.x + control.width,
+        bottom: control.y + control.height,
+        centerX: control.x + control.width / 2,
+        centerY: control.y + control.height / 2
+    };
+}
+
+// Distance between two 1D ranges, 0 when they overlap
+function rangeDistance(startA, endA, startB, endB) {
+    return Math.max(0, startB - endA, startA - endB);
+}
+
+// Stand-in for a KeyboardEvent, for key repeats the library generates itself
+function createKeyEvent(key, modifiers = {}) {
+    return {
+        key,
+        shiftKey: false,
+        ctrlKey: false,
+        altKey: false,
+        metaKey: false,
+        repeat: false,
+        ...modifiers,
+        generated: true,
+        defaultPrevented: false,
+        preventDefault() { this.defaultPrevented = true; }
+    };
+}
+
+// Text object drawn by the manager or a screen (see addText)
+function createText(text, x, y, options = {}) {
+    return {
+        text,
+        x,
+        y,
+        font: options.font || '20px Arial',
+        color: options.color || '#ffffff',
+        align: options.align || 'left',
+        baseline: options.baseline || 'top',
+        markup: options.markup || false,          // Inline markup such as [b] and [color=...] (see RichText)
+        textEffects: options.textEffects || null, // { outline, shadow, gradient }
+        maxWidth: options.maxWidth || null,       // Wrap between words at this width
+        lineHeight: options.lineHeight || null,   // Minimum height of wrapped lines
+        anchor: parseAnchor(options.anchor),
+        anchorOffset: { x, y }
+    };
+}
+
+function createImage(image, x, y, width, height, options = {}) {
+    return {
+        image,
+        x,
+        y,
+        width,
+        height,
+        alt: options.alt || null, // Description for screen readers; images without one are skipped
+        anchor: parseAnchor(options.anchor),
+        anchorOffset: { x, y }
+    };
+}
 
-        focusNext() {
-            if (this.controls.length === 0) return;
-            this.focusIndex = (this.focusIndex + 1) % this.controls.length;
+// Anchor as { x, y } fractions from a name ('bottom-right') or { x, y } given as
+// fractions (0-1) or percentage strings ('25%')
+function parseAnchor(anchor) {
+    if (!anchor) return null;
+    if (typeof anchor === 'string') {
+        const point = ANCHORS[anchor];
+        if (!point) {
+            throw new Error(`Unknown anchor: ${anchor}`);
         }
+        return { x: point[0], y: point[1] };
+    }
+    const fraction = (value) => typeof value === 'string' ? parseFloat(value) / 100 : (value || 0);
+    return { x: fraction(anchor.x), y: fraction(anchor.y) };
+}
+
+// Place an anchored control, text or image in the viewport. Its original x, y are
+// kept as an offset from the anchor point.
+function applyAnchor(item, viewport) {
+    const width = item.width || 0;
+    const height = item.height || 0;
+    const x = viewport.x + (viewport.width - width) * item.anchor.x + item.anchorOffset.x;
+    const y = viewport.y + (viewport.height - height) * item.anchor.y + item.anchorOffset.y;
+    if (item.setPosition) {
+        item.setPosition(x, y);
+    } else {
+        item.x = x;
+        item.y = y;
+    }
+}
 
-        focusPrevious() {
-            if (this.controls.length === 0) return;
-            this.focusIndex = (this.focusIndex - 1 + this.controls.length) % this.controls.length;
+// A control followed by all of its container descendants, in drawing order
+function flattenControls(control) {
+    const controls = [control];
+    if (control.children) {
+        for (let child of control.children) {
+            controls.push(...flattenControls(child));
         }
+    }
+    return controls;
+}
 
-        addControl(control) {
-            control.manager = this;
-            this.controls.push(control);
-            if (this.focusIndex === -1 && this.controls.length === 1) {
-                this.focusIndex = 0;
-            }
-            return control;
+// Transition option as an object: 'fade' becomes { type: 'fade' }
+function normalizeTransition(transition) {
+    if (!transition) return null;
+    return typeof transition === 'string' ? { type: transition } : transition;
+}
+
+// Languages written right to left; setLocale picks the direction from the locale's language
+const RTL_LANGUAGES = ['ar', 'arc', 'dv', 'fa', 'he', 'ks', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+function getLocaleDirection(locale) {
+    return RTL_LANGUAGES.includes(String(locale).split(/[-_]/)[0].toLowerCase()) ? 'rtl' : 'ltr';
+}
+
+// Text looked up in the manager's string tables (see localize). Usable wherever a
+// label, item, title or message string is, and saved as { key, params } in definitions.
+export class LocalizedString {
+        constructor(key, params = {}) {
+            this.key = key;
+            this.params = params;
         }
 
-        removeControl(control) {
-            const index = this.controls.indexOf(control);
-            if (index > -1) {
-                this.controls.splice(index, 1);
-                if (this.focusIndex >= this.controls.length) {
-                    this.focusIndex = this.controls.length - 1;
-                }
+        toJSON() {
+            return Object.keys(this.params).length > 0 ? { key: this.key, params: this.params } : { key: this.key };
+        }
+    }
+
+// Localization key for a label: new Button(x, y, w, h, localize('menu.play'), onPlay).
+// params fill {name} placeholders and count picks the plural form.
+export function localize(key, params = {}) {
+    return new LocalizedString(key, params);
+}
+
+// { key, params } from a loaded definition as a LocalizedString; anything else unchanged
+function toLocalized(value) {
+    if (value && typeof value === 'object' && !(value instanceof LocalizedString) && typeof value.key === 'string') {
+        return new LocalizedString(value.key, value.params || {});
+    }
+    return value;
+}
+
+// Entry for a key in a string table, by the full key or its dotted path through nested tables
+function lookupString(table, key) {
+    if (!table) return undefined;
+    let entry = table[key];
+    if (entry === undefined) {
+        entry = table;
+        for (let part of String(key).split('.')) {
+            if (!entry || typeof entry !== 'object') return undefined;
+            entry = entry[part];
+        }
+    }
+    // A nested table that isn't a set of plural forms is no string
+    if (entry && typeof entry === 'object' && entry.other === undefined) return undefined;
+    return entry;
+}
+
+// Where each localized field got its text: owner -> { field: { source, text } }
+const localizedSources = new WeakMap();
+
+// The LocalizedString a field was resolved from, or its current value, for saving
+function getTextSource(owner, field) {
+    const sources = localizedSources.get(owner);
+    return sources && sources[field] && sources[field].text === owner[field] ? sources[field].source : owner[field];
+}
+
+// Event passed to on() listeners. source is the input that caused it ('mouse', 'touch',
+// 'pen', 'keyboard' or 'gamepad', with gamepadIndex, and player for an assigned pad),
+// or null when it came from code. Other fields depend on the event type.
+export class UIEvent {
+        constructor(type, target, detail = {}) {
+            this.type = type;
+            this.target = target;
+            this.source = null;
+            this.gamepadIndex = null;
+            this.player = null;
+            this.defaultPrevented = false;
+            this.propagationStopped = false;
+            Object.assign(this, detail);
+        }
+
+        // Skip the default handling of a cancelable event (click, submit, modalclose, toast, back)
+        preventDefault() {
+            this.defaultPrevented = true;
+        }
+
+        // Keep a control's event from reaching the manager's listeners
+        stopPropagation() {
+            this.propagationStopped = true;
+        }
+    }
+
+// on/off/once listeners, shared by controls and the manager
+export class EventEmitter {
+        on(type, listener) {
+            if (!this.eventListeners) {
+                this.eventListeners = {};
             }
+            (this.eventListeners[type] = this.eventListeners[type] || []).push(listener);
+            return this;
         }
 
-        addText(text, x, y, options = {}) {
-            const textObj = {
-                text,
-                x,
-                y,
-                font: options.font || '20px Arial',
-                color: options.color || '#ffffff',
-                align: options.align || 'left',
-                baseline: options.baseline || 'top'
+        // Remove a listener, or every listener for the type when none is given
+        off(type, listener) {
+            if (!this.eventListeners || !this.eventListeners[type]) return this;
+            this.eventListeners[type] = listener
+                ? this.eventListeners[type].filter(l => l !== listener && l.listener !== listener)
+                : [];
+            return this;
+        }
+
+        once(type, listener) {
+            const wrapper = (event) => {
+                this.off(type, wrapper);
+                listener(event);
             };
-            this.texts.push(textObj);
-            return textObj;
+            wrapper.listener = listener; // So off() can remove it by the original function
+            return this.on(type, wrapper);
         }
 
-        addImage(image, x, y, width, height) {
-            const imageObj = { image, x, y, width, height };
-            this.images.push(imageObj);
-            return imageObj;
+        emit(type, detail = {}) {
+            return this.dispatchEvent(new UIEvent(type, this, detail));
         }
 
-        setBackground(color) {
-            this.options.backgroundColor = color;
-            this.options.backgroundGradient = null;
+        // Call the listeners for an event; returns the event so callers can check defaultPrevented
+        dispatchEvent(event) {
+            const listeners = this.eventListeners && this.eventListeners[event.type];
+            if (listeners) {
+                for (let listener of [...listeners]) {
+                    listener(event);
+                }
+            }
+            return event;
         }
+    }
 
-        setBackgroundGradient(gradient) {
-            this.options.backgroundGradient = gradient;
+// Easing curves for tweens and transitions: progress 0-1 in, eased progress out
+export const Easing = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeInBack: t => 2.70158 * t * t * t - 1.70158 * t * t,
+    easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+    easeOutElastic: t => t === 0 || t === 1 ? t :
+        Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1,
+    easeOutBounce: t => {
+        if (t < 1 / 2.75) return 7.5625 * t * t;
+        if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+        if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+        return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    }
+};
+
+// [r, g, b, a] from '#rgb', '#rrggbb', 'rgb()' or 'rgba()', or null for anything else
+function parseColor(value) {
+    if (typeof value !== 'string') return null;
+    let match = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (match) {
+        let hex = match[1];
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
         }
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16)).concat(1);
+    }
+    match = value.match(/^rgba?\(([^)]+)\)$/i);
+    if (match) {
+        const parts = match[1].split(',').map(part => parseFloat(part));
+        return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+    }
+    return null;
+}
 
-        showModal(title, message, buttons = [], options = {}) {
-            const modal = new Modal(this, title, message, buttons, options);
-            this.modals.push(modal);
-            return modal;
+// Read or write a property by path, e.g. 'options.backgroundColor'
+function getPath(target, path) {
+    return path.split('.').reduce((object, key) => object[key], target);
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((object, key) => object[key], target)[last] = value;
+}
+
+const GEOMETRY_KEYS = { x: true, y: true, width: true, height: true };
+
+// Tween: animates numeric and color properties of any object from their current values
+// to the given ones. Created with CanvasUIMark.tween and advanced by its update loop.
+// Awaiting a tween (or tween.finished) gives true when it completed, false if stopped.
+export class Tween {
+        constructor(target, props, options = {}) {
+            this.target = target;
+            this.to = { ...props };
+            this.from = null;        // Captured when the tween starts, after any delay
+            this.duration = options.duration !== undefined ? options.duration : 300;
+            this.delay = options.delay || 0;
+            this.easing = typeof options.easing === 'function' ? options.easing :
+                (Easing[options.easing] || Easing.easeOutQuad);
+            this.onUpdate = options.onUpdate || null;     // (target, progress) => {}
+            this.onComplete = options.onComplete || null; // (target) => {}
+            this.elapsed = 0;
+            this.done = false;
+            this.finished = new Promise(resolve => {
+                this.resolve = resolve;
+            });
         }
 
-        closeModal(modal) {
-            const index = this.modals.indexOf(modal);
-            if (index > -1) {
-                this.modals.splice(index, 1);
-            }
+        then(onFulfilled, onRejected) {
+            return this.finished.then(onFulfilled, onRejected);
         }
 
-        showToast(message, type = 'info', duration = 3000) {
-            const toast = new Toast(this, message, type, duration);
-            this.toasts.push(toast);
-            
-            setTimeout(() => {
-                const index = this.toasts.indexOf(toast);
-                if (index > -1) {
-                    this.toasts.splice(index, 1);
-                }
-            }, duration);
-            
-            return toast;
+        start() {
+            this.from = {};
+            for (let key of Object.keys(this.to)) {
+                this.from[key] = getPath(this.target, key);
+            }
         }
 
+        // Advance by deltaTime; returns true once the tween is over
         update(deltaTime) {
-            // Update gamepad
-            this.updateGamepad();
+            if (this.done) return true;
+            if (this.delay > 0) {
+                this.delay -= deltaTime;
+                if (this.delay > 0) return false;
+                deltaTime = -this.delay;
+            }
+            if (!this.from) {
+                this.start();
+            }
 
-            // Update controls
-            for (let control of this.controls) {
-                if (control.update) {
-                    control.update(deltaTime);
-                }
+            this.elapsed += deltaTime;
+            const progress = this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+            this.apply(progress);
+            if (this.onUpdate) {
+                this.onUpdate(this.target, progress);
             }
 
-            // Update modals
-            for (let modal of this.modals) {
-                if (modal.update) {
-                    modal.update(deltaTime);
+            if (progress >= 1) {
+                this.done = true;
+                if (this.onComplete) {
+                    this.onComplete(this.target);
                 }
+                this.resolve(true);
             }
+            return this.done;
         }
 
-        draw() {
-            // Clear canvas with background
-            if (this.options.backgroundGradient) {
-                const gradient = this.ctx.createLinearGradient(
-                    0, 0, 
-                    this.canvas.width, 
-                    this.canvas.height
-                );
-                for (let stop of this.options.backgroundGradient) {
-                    gradient.addColorStop(stop.offset, stop.color);
-                }
-                this.ctx.fillStyle = gradient;
-            } else {
-                this.ctx.fillStyle = this.options.backgroundColor;
-            }
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-            // Draw panels first (background layer)
-            for (let i = 0; i < this.controls.length; i++) {
-                const control = this.controls[i];
-                if (control.constructor.name === 'Panel') {
-                    control.draw(this.ctx, false); // Panels never get focus
-                }
-            }
-
-            // Draw images
-            for (let img of this.images) {
-                if (img.image.complete) {
-                    this.ctx.drawImage(img.image, img.x, img.y, img.width, img.height);
+        apply(progress) {
+            const eased = this.easing(progress);
+            const geometry = {};
+            for (let key of Object.keys(this.to)) {
+                const value = this.interpolate(this.from[key], this.to[key], eased, progress);
+                if (GEOMETRY_KEYS[key] && typeof this.target.setBounds === 'function') {
+                    geometry[key] = value;
+                } else {
+                    setPath(this.target, key, value);
                 }
             }
 
-            // Draw texts
-            for (let text of this.texts) {
-                this.ctx.font = text.font;
-                this.ctx.fillStyle = text.color;
-                this.ctx.textAlign = text.align;
-                this.ctx.textBaseline = text.baseline;
-                this.ctx.fillText(text.text, text.x, text.y);
+            // Containers move their children along with them
+            if (Object.keys(geometry).length > 0) {
+                const target = this.target;
+                target.setBounds(
+                    geometry.x !== undefined ? geometry.x : target.x,
+                    geometry.y !== undefined ? geometry.y : target.y,
+                    geometry.width !== undefined ? geometry.width : target.width,
+                    geometry.height !== undefined ? geometry.height : target.height
+                );
             }
+        }
 
-            // Draw other controls (interactive layer)
-            for (let i = 0; i < this.controls.length; i++) {
-                const control = this.controls[i];
-                if (control.constructor.name !== 'Panel') {
-                    const isFocused = i === this.focusIndex;
-                    control.draw(this.ctx, isFocused);
-                }
+        // Numbers and colors blend; anything else switches at the end
+        interpolate(from, to, eased, progress) {
+            if (progress >= 1) return to;
+            if (typeof from === 'number' && typeof to === 'number') {
+                return from + (to - from) * eased;
             }
-
-            // Draw modals
-            for (let modal of this.modals) {
-                modal.draw(this.ctx);
+            const fromColor = parseColor(from);
+            const toColor = parseColor(to);
+            if (fromColor && toColor) {
+                const [r, g, b, a] = fromColor.map((channel, i) => channel + (toColor[i] - channel) * eased);
+                return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${Math.min(Math.max(a, 0), 1)})`;
             }
+            return from;
+        }
 
-            // Draw toasts
-            for (let i = 0; i < this.toasts.length; i++) {
-                const toast = this.toasts[i];
-                toast.draw(this.ctx, i);
+        stop() {
+            if (!this.done) {
+                this.done = true;
+                this.resolve(false);
             }
         }
+    }
 
-        start() {
-            const loop = (timestamp) => {
-                const deltaTime = timestamp - this.lastFrameTime;
-                this.lastFrameTime = timestamp;
+// Draw an item faded by its alpha and scaled by its scale around its center
+function drawTransformed(ctx, item, draw) {
+    const alpha = item.alpha !== undefined ? item.alpha : 1;
+    const scale = item.scale !== undefined ? item.scale : 1;
+    if (alpha === 1 && scale === 1) {
+        draw();
+        return;
+    }
+    ctx.save();
+    ctx.globalAlpha *= Math.min(Math.max(alpha, 0), 1);
+    if (scale !== 1) {
+        const centerX = item.x + item.width / 2;
+        const centerY = item.y + item.height / 2;
+        ctx.translate(centerX, centerY);
+        ctx.scale(scale, scale);
+        ctx.translate(-centerX, -centerY);
+    }
+    draw();
+    ctx.restore();
+}
 
-                this.update(deltaTime);
-                this.draw();
+// Font size, weight, style and family from a CSS font string ('bold 20px Arial')
+function parseFont(font) {
+    const match = /^\s*((?:(?:normal|italic|oblique|bold|bolder|lighter|\d{3})\s+)*)(\d+(?:\.\d+)?)px(?:\/\S+)?\s+(.+)$/.exec(font);
+    if (!match) {
+        return { italic: false, bold: false, size: 16, family: 'sans-serif' };
+    }
+    const words = match[1].split(/\s+/);
+    return {
+        italic: words.includes('italic') || words.includes('oblique'),
+        bold: words.some(word => word === 'bold' || word === 'bolder' || parseInt(word, 10) >= 600),
+        size: parseFloat(match[2]),
+        family: match[3]
+    };
+}
 
-                this.animationFrameId = requestAnimationFrame(loop);
-            };
+function formatFont(style) {
+    return `${style.italic ? 'italic ' : ''}${style.bold ? 'bold ' : ''}${style.size}px ${style.family}`;
+}
 
-            this.animationFrameId = requestAnimationFrame(loop);
+// Inline markup: [b], [i], [color=...] and [size=...] wrap text and close with [/b] etc.,
+// [icon=name] draws a registered icon, [br] breaks the line and [[ is a literal [
+const MARKUP_TAG = /\[\[|\[(\/?)(b|i|color|size|icon|br)(?:=([^\]]*))?\]/g;
+
+// RichText: text with inline markup and effects (outline, shadow, gradient), wrapped
+// into lines of styled runs. Texts, labels, modals and toasts with the markup or
+// textEffects option draw through one; it can also be used directly in custom drawing.
+export class RichText {
+        constructor(text, options = {}) {
+            this.text = text;
+            this.font = options.font || '16px sans-serif';
+            this.color = options.color || '#ffffff';
+            this.markup = options.markup !== false;   // false draws tags as written
+            this.lineHeight = options.lineHeight || 0; // Minimum line height; lines grow to 1.25 × their largest size
+            this.effects = options.effects || null;   // { outline, shadow, gradient }
+            this.icons = options.icons || {};          // Images for [icon=name]
+            this.lines = [];  // [{ items, width, height, ascent }] after layout
+            this.width = 0;
+            this.height = 0;
+            this.layoutKey = null;
         }
 
-        stop() {
-            if (this.animationFrameId) {
-                cancelAnimationFrame(this.animationFrameId);
-                this.animationFrameId = null;
+        // Pieces of the text in order: { text, style }, { icon, style } and { lineBreak }
+        parse() {
+            const base = parseFont(this.font);
+            const stack = [{ ...base, color: null, tag: null }];
+            const pieces = [];
+            const push = (text) => {
+                text.split('\n').forEach((part, i) => {
+                    if (i > 0) pieces.push({ lineBreak: true });
+                    if (part) pieces.push({ text: part, style: stack[stack.length - 1] });
+                });
+            };
+            const text = String(this.text);
+            if (!this.markup) {
+                push(text);
+                return pieces;
+            }
+
+            let last = 0;
+            let match;
+            MARKUP_TAG.lastIndex = 0;
+            while ((match = MARKUP_TAG.exec(text))) {
+                push(text.slice(last, match.index));
+                last = MARKUP_TAG.lastIndex;
+                const [tag, closing, name, value] = match;
+                const top = stack[stack.length - 1];
+                if (tag === '[[') {
+                    push('[');
+                } else if (name === 'br') {
+                    pieces.push({ lineBreak: true });
+                } else if (name === 'icon') {
+                    pieces.push({ icon: value, style: top });
+                } else if (closing) {
+                    // Closing a tag also closes any left open inside it
+                    const index = stack.map(style => style.tag).lastIndexOf(name);
+                    if (index > 0) {
+                        stack.length = index;
+                    } else {
+                        push(tag);
+                    }
+                } else if (name === 'size' && !(parseFloat(value) > 0)) {
+                    push(tag);
+                } else {
+                    const style = { ...top, tag: name };
+                    if (name === 'b') style.bold = true;
+                    if (name === 'i') style.italic = true;
+                    if (name === 'color') style.color = value;
+                    if (name === 'size') style.size = parseFloat(value);
+                    stack.push(style);
+                }
             }
+            push(text.slice(last));
+            return pieces;
         }
-    }
 
-// Base Control class
-export class Control {
-        constructor(x, y, width, height, options = {}) {
-            this.x = x;
-            this.y = y;
-            this.width = width;
-            this.height = height;
-            this.options = {
-                backgroundColor: '#333333',
-                borderColor: '#666666',
-                textColor: '#ffffff',
-                focusColor: '#4CAF50',
-                hoverColor: '#555555',
-                font: '16px Arial',
-                borderWidth: 2,
-                padding: 10,
-                borderRadius: 0, // Default no rounding
-                ...options
+        // Wrap into lines no wider than maxWidth, breaking between words. Cached until
+        // the text, font, width or markup change.
+        layout(ctx, maxWidth = Infinity) {
+            const key = [this.text, this.font, this.markup, this.lineHeight, maxWidth].join('|');
+            if (key === this.layoutKey) return this;
+            this.layoutKey = key;
+
+            const baseSize = parseFont(this.font).size;
+            const lines = [];
+            let line = { items: [], width: 0 };
+            let x = 0;
+            const finishLine = () => {
+                const size = line.items.reduce((max, item) => Math.max(max, item.size), line.items.length ? 0 : baseSize);
+                line.height = Math.max(this.lineHeight, size * 1.25);
+                line.ascent = (line.height - size) / 2 + size * 0.8;
+                lines.push(line);
+                line = { items: [], width: 0 };
+                x = 0;
+            };
+            const place = (item) => {
+                // Whitespace is kept inside a line but doesn't count towards its width
+                const previous = line.items[line.items.length - 1];
+                if (item.text !== undefined && previous && previous.text !== undefined &&
+                    previous.font === item.font && previous.color === item.color) {
+                    previous.text += item.text;
+                    previous.width += item.width;
+                    previous.space = previous.space && item.space;
+                } else {
+                    line.items.push({ ...item, x });
+                }
+                x += item.width;
+                if (!item.space) line.width = x;
             };
-            this.manager = null;
-        }
 
-        containsPoint(x, y) {
-            return x >= this.x && x <= this.x + this.width &&
-                   y >= this.y && y <= this.y + this.height;
+            ctx.save();
+            for (let piece of this.parse()) {
+                if (piece.lineBreak) {
+                    finishLine();
+                } else if (piece.icon !== undefined) {
+                    const image = this.icons[piece.icon];
+                    const size = piece.style.size;
+                    const width = image && image.width && image.height ? size * image.width / image.height : size;
+                    if (x + width > maxWidth && line.width > 0) finishLine();
+                    place({ icon: piece.icon, width, height: size, size });
+                } else {
+                    const font = formatFont(piece.style);
+                    ctx.font = font;
+                    for (let word of piece.text.split(/(\s+)/)) {
+                        if (!word) continue;
+                        const space = /^\s/.test(word);
+                        if (space && line.width === 0 && lines.length > 0 && line.items.length === 0) continue;
+                        const width = measureText(ctx, word).width;
+                        if (!space && x + width > maxWidth && line.width > 0) finishLine();
+                        place({ text: word, font, color: piece.style.color, size: piece.style.size, width, space });
+                    }
+                }
+            }
+            finishLine();
+            ctx.restore();
+
+            this.lines = lines;
+            this.width = lines.reduce((max, l) => Math.max(max, l.width), 0);
+            this.height = lines.reduce((sum, l) => sum + l.height, 0);
+            return this;
         }
 
-        drawBase(ctx, isFocused) {
-            const radius = this.options.borderRadius;
-            
-            // Background
-            ctx.fillStyle = this.options.backgroundColor;
-            if (radius > 0) {
-                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
-                ctx.fill();
-            } else {
-                ctx.fillRect(this.x, this.y, this.width, this.height);
+        // Draw at (x, y) with a canvas textAlign and textBaseline. Lays out unwrapped if
+        // layout hasn't been called. Right to left (ctx.direction), runs are placed from the right.
+        draw(ctx, x, y, align = 'left', baseline = 'top') {
+            if (this.layoutKey === null) this.layout(ctx);
+            const rtl = ctx.direction === 'rtl';
+            if (align === 'start') align = rtl ? 'right' : 'left';
+            if (align === 'end') align = rtl ? 'left' : 'right';
+            let top = y;
+            if (baseline === 'middle') top = y - this.height / 2;
+            else if (baseline === 'bottom' || baseline === 'ideographic') top = y - this.height;
+            else if (baseline === 'alphabetic' && this.lines.length > 0) top = y - this.lines[0].ascent;
+
+            ctx.save();
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+            for (let line of this.lines) {
+                const left = align === 'center' ? x - line.width / 2 : align === 'right' ? x - line.width : x;
+                for (let item of line.items) {
+                    const itemX = rtl ? left + line.width - item.x - item.width : left + item.x;
+                    if (item.icon !== undefined) {
+                        const image = this.icons[item.icon];
+                        if (image && image.complete !== false) {
+                            ctx.drawImage(image, itemX, top + (line.height - item.height) / 2, item.width, item.height);
+                        }
+                    } else if (!item.space) {
+                        ctx.font = item.font;
+                        this.drawRun(ctx, item.text, itemX, top + line.ascent, item.color, top, line.height);
+                    }
+                }
+                top += line.height;
             }
+            ctx.restore();
+        }
 
-            // Border
-            ctx.strokeStyle = isFocused ? this.options.focusColor : this.options.borderColor;
-            ctx.lineWidth = this.options.borderWidth;
-            if (radius > 0) {
-                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
-                ctx.stroke();
-            } else {
-                ctx.strokeRect(this.x, this.y, this.width, this.height);
+        // One run of text with the effects; a [color] in the markup wins over a gradient
+        drawRun(ctx, text, x, y, color, top, height) {
+            const effects = this.effects || {};
+            let fill = color || this.color;
+            if (!color && effects.gradient && effects.gradient.length > 0) {
+                const stops = effects.gradient;
+                fill = ctx.createLinearGradient(0, top, 0, top + height);
+                stops.forEach((stop, i) => fill.addColorStop(stops.length > 1 ? i / (stops.length - 1) : 0, stop));
+            }
+            if (effects.shadow) {
+                ctx.shadowColor = effects.shadow.color || 'rgba(0, 0, 0, 0.5)';
+                ctx.shadowBlur = effects.shadow.blur !== undefined ? effects.shadow.blur : 4;
+                ctx.shadowOffsetX = effects.shadow.offsetX !== undefined ? effects.shadow.offsetX : 2;
+                ctx.shadowOffsetY = effects.shadow.offsetY !== undefined ? effects.shadow.offsetY : 2;
             }
+            if (effects.outline) {
+                // The fill covers the inner half of the stroke, so it is drawn twice as wide;
+                // the shadow falls from the outline only
+                ctx.strokeStyle = effects.outline.color || '#000000';
+                ctx.lineWidth = (effects.outline.width || 2) * 2;
+                ctx.lineJoin = 'round';
+                strokeText(ctx, text, x, y);
+                ctx.shadowColor = 'transparent';
+            }
+            ctx.fillStyle = fill;
+            fillText(ctx, text, x, y);
+            ctx.shadowColor = 'transparent';
         }
+    }
 
-        draw(ctx, isFocused) {
-            this.drawBase(ctx, isFocused);
-        }
+// RichText objects by owner and text, so each is laid out once rather than every frame
+const richTextCache = new WeakMap();
+
+function getRichText(owner, text, options) {
+    let cache = richTextCache.get(owner);
+    if (!cache) {
+        cache = new Map();
+        richTextCache.set(owner, cache);
     }
+    let richText = cache.get(text);
+    if (!richText) {
+        if (cache.size >= 32) cache.clear(); // Text that keeps changing, e.g. a score
+        richText = new RichText(text);
+        cache.set(text, richText);
+    }
+    return Object.assign(richText, options);
+}
 
-// Button Control
-export class Button extends Control {
-        constructor(x, y, width, height, label, callback, options = {}) {
-            super(x, y, width, height, options);
-            this.label = label;
-            this.callback = callback;
-            this.pressed = false;
-            this.pressedTime = 0;
-            this.pressedDuration = 200; // milliseconds
-        }
+// Text without its markup, e.g. for screen readers; icons are left out
+export function stripMarkup(text) {
+    return new RichText(text).parse()
+        .map(piece => piece.lineBreak ? '\n' : piece.text || '')
+        .join('');
+}
 
-        handleClick(x, y) {
-            this.activate();
+// BitmapFont: glyphs drawn from page images, described in AngelCode BMFont's text (.fnt)
+// or JSON format. Added to a manager with addBitmapFont, it is used wherever a font
+// string names it, including measuring for wrapping and caret placement.
+export class BitmapFont {
+        constructor(pages, description, options = {}) {
+            const data = typeof description === 'string' ? BitmapFont.parse(description) : description;
+            this.pages = [].concat(pages);  // Images (or canvases) by page id
+            this.size = Math.abs(data.info.size); // Size the glyphs were made at; other sizes scale
+            this.lineHeight = data.common.lineHeight;
+            this.base = data.common.base;   // Top of the line to the baseline
+            this.integerScale = options.integerScale || false; // Round the scale to whole pixels (for pixel art)
+            this.tint = options.tint !== false; // Color the glyphs with fillStyle; false keeps their own colors
+            this.chars = new Map(data.chars.map(char => [char.id, char]));
+            this.kernings = new Map((data.kernings || []).map(k => [`${k.first},${k.second}`, k.amount]));
+            this.fallbackFont = options.fallbackFont || 'sans-serif'; // CSS family for characters the font lacks
+            this.tinted = new Map();
         }
 
-        handleKeyDown(e) {
-            if (e.key === 'Enter' || e.key === ' ') {
-                this.activate();
-                e.preventDefault();
+        // The JSON shape from BMFont's text format: { info, common, pages, chars, kernings }
+        static parse(text) {
+            const data = { info: {}, common: {}, pages: [], chars: [], kernings: [] };
+            for (let line of text.split(/\r?\n/)) {
+                const tag = line.split(/\s/, 1)[0];
+                const fields = {};
+                for (let [, key, value] of line.matchAll(/(\w+)=("[^"]*"|\S+)/g)) {
+                    fields[key] = value[0] === '"' ? value.slice(1, -1)
+                        : value.includes(',') ? value.split(',').map(Number) : Number(value);
+                }
+                if (tag === 'info' || tag === 'common') {
+                    data[tag] = fields;
+                } else if (tag === 'page') {
+                    data.pages[fields.id] = fields.file;
+                } else if (tag === 'char') {
+                    data.chars.push(fields);
+                } else if (tag === 'kerning') {
+                    data.kernings.push(fields);
+                }
             }
+            return data;
         }
 
-        activate() {
-            this.pressed = true;
-            this.pressedTime = 0;
-            if (this.callback) {
-                this.callback();
-            }
+        // Scale for a font size, whole when integerScale is set (never below 1)
+        getScale(size) {
+            const scale = size / this.size;
+            return this.integerScale ? Math.max(1, Math.round(scale)) : scale;
         }
 
-        update(deltaTime) {
-            if (this.pressed) {
-                this.pressedTime += deltaTime;
-                if (this.pressedTime >= this.pressedDuration) {
-                    this.pressed = false;
-                    this.pressedTime = 0;
+        // Glyphs of the text with their pen positions (in unscaled font pixels). Characters
+        // the font lacks are kept as text, measured in the fallback font.
+        getGlyphs(ctx, text, size) {
+            const scale = this.getScale(size);
+            const glyphs = [];
+            let x = 0;
+            let previous = null;
+            for (let char of String(text)) {
+                const id = char.codePointAt(0);
+                const glyph = this.chars.get(id);
+                if (!glyph) {
+                    glyphs.push({ text: char, x });
+                    x += this.withFallbackFont(ctx, size, () => ctx.measureText(char).width) / scale;
+                    previous = null;
+                    continue;
                 }
+                if (previous !== null) {
+                    x += this.kernings.get(`${previous},${id}`) || 0;
+                }
+                glyphs.push({ glyph, x });
+                x += glyph.xadvance;
+                previous = id;
             }
+            return { glyphs, width: x };
         }
 
-        draw(ctx, isFocused) {
-            const radius = this.options.borderRadius;
-            
-            // Background - change color when pressed
-            ctx.fillStyle = this.pressed ? this.options.focusColor : this.options.backgroundColor;
-            if (radius > 0) {
-                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
-                ctx.fill();
-            } else {
-                ctx.fillRect(this.x, this.y, this.width, this.height);
-            }
-
-            // Border
-            ctx.strokeStyle = isFocused ? this.options.focusColor : this.options.borderColor;
-            ctx.lineWidth = this.options.borderWidth;
-            if (radius > 0) {
-                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
-                ctx.stroke();
-            } else {
-                ctx.strokeRect(this.x, this.y, this.width, this.height);
+        // Run fn with ctx's font switched to the fallback font at a size
+        withFallbackFont(ctx, size, fn) {
+            const font = ctx.font;
+            ctx.font = `${size}px ${this.fallbackFont}`;
+            try {
+                return fn();
+            } finally {
+                ctx.font = font;
             }
-
-            // Draw label
-            ctx.font = this.options.font;
-            ctx.fillStyle = this.options.textColor;
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(this.label, this.x + this.width / 2, this.y + this.height / 2);
         }
-    }
 
-    // Menu Control (vertical or horizontal list of buttons)
-export class Menu extends Control {
-        constructor(x, y, width, itemHeight, items, options = {}) {
-            // Support both old and new constructor signatures
-            const orientation = options.orientation || 'vertical'; // 'vertical' or 'horizontal'
-            const gap = options.gap || 0; // Gap between items
-            
-            let totalWidth, totalHeight;
-            if (orientation === 'horizontal') {
-                totalWidth = items.length * width + (items.length - 1) * gap;
-                totalHeight = itemHeight;
-            } else {
-                totalWidth = width;
-                totalHeight = items.length * itemHeight + (items.length - 1) * gap;
-            }
-            
-            super(x, y, totalWidth, totalHeight, options);
-            this.itemWidth = width;
-            this.itemHeight = itemHeight;
-            this.items = items;
-            this.selectedIndex = 0;
-            this.orientation = orientation;
-            this.gap = gap;
+        measure(ctx, text, size) {
+            return this.getGlyphs(ctx, text, size).width * this.getScale(size);
         }
 
-        handleClick(x, y) {
-            for (let i = 0; i < this.items.length; i++) {
-                const itemBounds = this.getItemBounds(i);
-                if (x >= itemBounds.x && x <= itemBounds.x + itemBounds.width &&
-                    y >= itemBounds.y && y <= itemBounds.y + itemBounds.height) {
-                    this.selectedIndex = i;
-                    if (this.items[i].callback) {
-                        this.items[i].callback();
-                    }
-                    break;
+        // Draw with ctx's textAlign, textBaseline and direction as fillText would, in
+        // ctx.fillStyle or another color
+        draw(ctx, text, x, y, size, color = ctx.fillStyle) {
+            const scale = this.getScale(size);
+            const { glyphs, width } = this.getGlyphs(ctx, text, size);
+            const rtl = ctx.direction === 'rtl';
+            const align = ctx.textAlign === 'start' ? (rtl ? 'right' : 'left')
+                : ctx.textAlign === 'end' ? (rtl ? 'left' : 'right') : ctx.textAlign;
+            if (align === 'center') x -= width * scale / 2;
+            else if (align === 'right') x -= width * scale;
+
+            const baseline = ctx.textBaseline;
+            if (baseline === 'middle') y -= this.lineHeight * scale / 2;
+            else if (baseline === 'alphabetic') y -= this.base * scale;
+            else if (baseline === 'bottom' || baseline === 'ideographic') y -= this.lineHeight * scale;
+
+            ctx.save();
+            if (this.integerScale) {
+                // Whole pixels and no smoothing keep pixel art sharp
+                x = Math.round(x);
+                y = Math.round(y);
+                ctx.imageSmoothingEnabled = false;
+            }
+            ctx.fillStyle = color;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+            for (let { glyph, text: missing, x: penX } of glyphs) {
+                if (missing !== undefined) {
+                    this.withFallbackFont(ctx, size, () => ctx.fillText(missing, x + penX * scale, y + this.base * scale));
+                    continue;
                 }
+                const page = this.getPage(glyph.page || 0, color);
+                if (!page || glyph.width === 0 || glyph.height === 0) continue;
+                ctx.drawImage(page, glyph.x, glyph.y, glyph.width, glyph.height,
+                    x + (penX + glyph.xoffset) * scale, y + glyph.yoffset * scale,
+                    glyph.width * scale, glyph.height * scale);
             }
+            ctx.restore();
         }
 
-        getItemBounds(index) {
-            if (this.orientation === 'horizontal') {
-                return {
-                    x: this.x + index * (this.itemWidth + this.gap),
-                    y: this.y,
-                    width: this.itemWidth,
-                    height: this.itemHeight
-                };
-            } else {
-                return {
-                    x: this.x,
-                    y: this.y + index * (this.itemHeight + this.gap),
-                    width: this.itemWidth,
-                    height: this.itemHeight
-                };
+        // Glyphs can't be stroked, so an outline is copies of the text in ctx.strokeStyle
+        // around it, half ctx.lineWidth out as a stroke would reach
+        drawOutline(ctx, text, x, y, size) {
+            const radius = ctx.lineWidth / 2;
+            for (let i = 0; i < 8; i++) {
+                const angle = i * Math.PI / 4;
+                this.draw(ctx, text, x + Math.cos(angle) * radius, y + Math.sin(angle) * radius, size, ctx.strokeStyle);
             }
         }
 
-        handleKeyDown(e) {
-            const isVertical = this.orientation === 'vertical';
-            const prevKey = isVertical ? 'ArrowUp' : 'ArrowLeft';
-            const nextKey = isVertical ? 'ArrowDown' : 'ArrowRight';
-            
-            if (e.key === prevKey || e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
-                this.selectedIndex = (this.selectedIndex - 1 + this.items.length) % this.items.length;
-                e.preventDefault();
-            } else if (e.key === nextKey || e.key === 'ArrowDown' || e.key === 'ArrowRight') {
-                this.selectedIndex = (this.selectedIndex + 1) % this.items.length;
-                e.preventDefault();
-            } else if (e.key === 'Enter' || e.key === ' ') {
-                if (this.items[this.selectedIndex].callback) {
-                    this.items[this.selectedIndex].callback();
-                }
-                e.preventDefault();
+        // A page tinted with a CSS color (cached per color), or as it is without tinting.
+        // Glyphs should be white in the page image to take the color exactly.
+        getPage(index, color) {
+            const page = this.pages[index];
+            if (!page || page.complete === false) return null;
+            if (!this.tint || typeof color !== 'string') return page;
+            const key = `${index}|${color}`;
+            let tinted = this.tinted.get(key);
+            if (!tinted) {
+                if (this.tinted.size >= 64) this.tinted.clear();
+                tinted = document.createElement('canvas');
+                tinted.width = page.width;
+                tinted.height = page.height;
+                const tintCtx = tinted.getContext('2d');
+                tintCtx.drawImage(page, 0, 0);
+                tintCtx.globalCompositeOperation = 'source-in';
+                tintCtx.fillStyle = color;
+                tintCtx.fillRect(0, 0, page.width, page.height);
+                this.tinted.set(key, tinted);
             }
+            return tinted;
         }
+    }
 
-        handleGamepadLeft() {
-            this.selectedIndex = (this.selectedIndex - 1 + this.items.length) % this.items.length;
-        }
+// Bitmap fonts by family name for each manager's canvas context (see addBitmapFont)
+const contextBitmapFonts = new WeakMap();
+const parsedFonts = new Map();
+
+// The bitmap font and size ctx.font names, or null for a regular font
+function getBitmapFont(ctx) {
+    const fonts = contextBitmapFonts.get(ctx);
+    if (!fonts || Object.keys(fonts).length === 0) return null;
+    let style = parsedFonts.get(ctx.font);
+    if (!style) {
+        if (parsedFonts.size >= 64) parsedFonts.clear();
+        style = parseFont(ctx.font);
+        style.family = style.family.split(',')[0].trim().replace(/^["']|["']$/g, '');
+        parsedFonts.set(ctx.font, style);
+    }
+    const font = fonts[style.family];
+    return font ? { font, size: style.size } : null;
+}
+
+// ctx.fillText, strokeText and measureText, going through a bitmap font when ctx.font
+// names one
+function fillText(ctx, text, x, y) {
+    const bitmap = getBitmapFont(ctx);
+    if (bitmap) {
+        bitmap.font.draw(ctx, text, x, y, bitmap.size);
+    } else {
+        ctx.fillText(text, x, y);
+    }
+}
+
+function strokeText(ctx, text, x, y) {
+    const bitmap = getBitmapFont(ctx);
+    if (bitmap) {
+        bitmap.font.drawOutline(ctx, text, x, y, bitmap.size);
+    } else {
+        ctx.strokeText(text, x, y);
+    }
+}
 
-        handleGamepadRight() {
-            this.selectedIndex = (this.selectedIndex + 1) % this.items.length;
+function measureText(ctx, text) {
+    const bitmap = getBitmapFont(ctx);
+    return bitmap ? { width: bitmap.font.measure(ctx, text, bitmap.size) } : ctx.measureText(text);
+}
+
+// Screen: a named set of controls, texts and images. Screens are stacked with
+// pushScreen/popScreen/replaceScreen and only the top one is shown and receives input.
+export class Screen {
+        constructor(name, options = {}) {
+            this.name = name;
+            this.manager = null;
+            this.controls = [];
+            this.texts = [];
+            this.images = [];
+            this.focusIndex = -1;    // Remembered while another screen is on top
+            this.playerFocus = {};   // Remembered player cursors, keyed by player id
+
+            this.transition = normalizeTransition(options.transition); // Used when entering, reversed when leaving
+            this.onEnter = options.onEnter || null; // (screen, data) => {}
+            this.onExit = options.onExit || null;   // (screen) => {}
+            this.onBack = options.onBack || null;   // (screen) => {}, replaces the default pop on Escape / B
+            this.bindings = {};      // Callback names from a loaded definition, kept for saving
         }
 
-        activate() {
-            if (this.items[this.selectedIndex].callback) {
-                this.items[this.selectedIndex].callback();
-            }
+        // Whether this screen's controls are the live ones (it is on top, with no modal open)
+        isActive() {
+            return this.manager !== null && this.manager.controls === this.controls;
         }
 
-        draw(ctx, isFocused) {
-            const radius = this.options.borderRadius;
-            
-            for (let i = 0; i < this.items.length; i++) {
-                const bounds = this.getItemBounds(i);
-                const isSelected = i === this.selectedIndex;
+        addControl(control) {
+            this.insertControls(this.controls.length, flattenControls(control));
+            return control;
+        }
 
-                // Background
-                if (isSelected && isFocused) {
-                    ctx.fillStyle = this.options.focusColor;
-                } else if (isSelected) {
-                    ctx.fillStyle = this.options.hoverColor;
-                } else {
-                    ctx.fillStyle = this.options.backgroundColor;
+        insertControls(index, controls) {
+            if (this.isActive()) {
+                this.manager.insertControls(index, controls);
+                return;
+            }
+            this.controls.splice(index, 0, ...controls);
+            for (let control of controls) {
+                control.manager = this.manager;
+                if (this.manager) {
+                    control.applyTheme(this.manager.theme);
+                    control.localizeText(this.manager);
                 }
-                
-                if (radius > 0) {
-                    drawRoundedRect(ctx, bounds.x, bounds.y, bounds.width, bounds.height, radius);
-                    ctx.fill();
-                } else {
-                    ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+                if (this.manager && control.anchor && !control.parent) {
+                    applyAnchor(control, this.manager.viewport);
                 }
-
-                // Border
-                ctx.strokeStyle = isFocused && isSelected ? this.options.focusColor : this.options.borderColor;
-                ctx.lineWidth = this.options.borderWidth;
-                if (radius > 0) {
+            }
+            if (this.manager) {
+                this.manager.mirrorLayouts(controls);
+            }
+            if (this.focusIndex >= index) {
+                this.focusIndex += controls.length;
+            } else if (this.focusIndex === -1) {
+                const first = controls.findIndex(control => control.focusable);
+                if (first > -1) {
+                    this.focusIndex = index + first;
+                }
+            }
+            for (let id of Object.keys(this.playerFocus)) {
+                if (this.playerFocus[id] >= index) {
+                    this.playerFocus[id] += controls.length;
+                }
+            }
+        }
+
+        removeControl(control) {
+            if (this.isActive()) {
+                this.manager.removeControl(control);
+                return;
+            }
+            if (control.parent) {
+                control.parent.removeChild(control);
+                return;
+            }
+            for (let removed of flattenControls(control)) {
+                const index = this.controls.indexOf(removed);
+                if (index === -1) continue;
+                this.controls.splice(index, 1);
+                if (this.focusIndex > index) {
+                    this.focusIndex--;
+                }
+                if (this.focusIndex >= this.controls.length) {
+                    this.focusIndex = this.controls.length - 1;
+                }
+                for (let id of Object.keys(this.playerFocus)) {
+                    if (this.playerFocus[id] > index) {
+                        this.playerFocus[id]--;
+                    }
+                }
+            }
+        }
+
+        addText(text, x, y, options = {}) {
+            const textObj = createText(text, x, y, options);
+            this.texts.push(textObj);
+            if (this.manager) {
+                this.manager.localizeFields(textObj, ['text']);
+            }
+            if (this.manager && textObj.anchor) {
+                applyAnchor(textObj, this.manager.viewport);
+            }
+            return textObj;
+        }
+
+        addImage(image, x, y, width, height, options = {}) {
+            const imageObj = createImage(image, x, y, width, height, options);
+            this.images.push(imageObj);
+            if (this.manager && imageObj.anchor) {
+                applyAnchor(imageObj, this.manager.viewport);
+            }
+            return imageObj;
+        }
+    }
+
+// Main CanvasUIMark class
+export class CanvasUIMark extends EventEmitter {
+        constructor(canvas, options = {}) {
+            super();
+            this.canvas = canvas;
+            this.ctx = canvas.getContext('2d');
+            this.controls = [];
+            this.focusIndex = -1;
+            this.modals = [];
+            this.toasts = [];
+            this.toastQueue = [];        // Toasts waiting for a free slot (see maxToasts)
+            this.focusedToast = null;    // Toast whose actions keys and gamepads drive (see handleToastAction)
+            this.images = [];
+            this.texts = [];
+
+            // Screen stack. The root screen owns whatever is added before any screen is pushed.
+            this.screens = {};
+            this.rootScreen = new Screen('root');
+            this.rootScreen.manager = this;
+            this.rootScreen.controls = this.controls;
+            this.rootScreen.texts = this.texts;
+            this.rootScreen.images = this.images;
+            this.screenStack = [this.rootScreen];
+            this.transition = null;      // Screen transition in progress
+
+            // Running tweens, and modals playing their close animation
+            this.tweens = [];
+            this.closingModals = [];
+
+            // Look of every control, modal and toast
+            this.theme = createTheme(options.theme);
+
+            // Mapping from UI coordinates to canvas pixels, and the visible UI area
+            this.view = { scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0 };
+            this.viewport = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+            this.onResize = null; // (viewport) => {}
+            
+            // Configuration
+            this.options = {
+                backgroundColor: options.backgroundColor || null, // Defaults to the theme's palette.background
+                backgroundGradient: options.backgroundGradient || null,
+                longPressDelay: 500, // ms a pointer must be held still to count as a long press
+                tapSlop: 10,         // px a pointer may move and still count as a tap
+                imeInput: true,      // Route TextInput typing through a hidden DOM input for IME support
+                navigation: 'linear', // 'linear' (insertion order) or 'spatial' (nearest control in a direction)
+                navigationWrap: false, // Spatial only: wrap to the far side when nothing lies in a direction
+                stickDeadzone: 0.5,  // Left stick deflection (0-1) needed to count as a direction
+                repeatDelay: 400,    // ms a direction is held before it starts repeating
+                repeatInterval: 80,  // ms between repeats while held
+                stickScrollSpeed: 800, // px per second the right stick scrolls at full tilt
+                stickScrollDeadzone: 0.15, // Right stick deflection (0-1) ignored before scrolling starts
+                showPrimaryFocus: true, // Draw the shared focus while players have their own cursors
+                screenTransition: { type: 'fade', duration: 250 }, // Default for screens without their own
+                virtualWidth: null,  // Design resolution; when set with virtualHeight the canvas
+                virtualHeight: null, //   follows its CSS size and the UI is scaled to fit
+                scaleMode: 'letterbox', // 'letterbox', 'stretch' or 'fit' (see updateView)
+                hidpi: false,        // Size the backing store to devicePixelRatio
+                letterboxColor: '#000000', // Bars around the design area in letterbox mode
+                animations: true,    // Animate modals and toasts in and out
+                toastPosition: 'top-right', // 'top-left', 'top', 'top-right', 'center', 'bottom-left', 'bottom' or 'bottom-right'
+                maxToasts: 3,        // Toasts shown at once; more wait in a queue
+                toastMargin: 20,     // px between toasts and the edge of the view
+                toastSpacing: 10,    // px between stacked toasts
+                accessibility: false, // Mirror the controls into hidden DOM elements for screen readers
+                locale: 'en',        // Language for localize() keys (see setLocale)
+                fallbackLocale: 'en', // Strings missing from the locale's table come from this one
+                strings: {},         // String tables by locale, as for addStrings
+                direction: null,     // 'ltr' or 'rtl'; by default follows the locale
+                ...options
+            };
+
+            // Localization: string tables by locale, and the direction text and rows run in
+            this.stringTables = {};
+            this.pluralRules = {};       // Intl.PluralRules by locale, null where the tag is invalid
+            for (let locale of Object.keys(this.options.strings)) {
+                this.addStrings(locale, this.options.strings[locale]);
+            }
+            this.locale = this.options.locale;
+            this.direction = this.options.direction || getLocaleDirection(this.locale);
+
+            // Images for [icon=name] in rich text, by name (see registerIcon)
+            this.icons = {};
+            // Atlas regions for skins, by name (see addAtlas)
+            this.sprites = {};
+            // Bitmap fonts by family name, used for text on this canvas (see addBitmapFont)
+            this.bitmapFonts = {};
+            contextBitmapFonts.set(this.ctx, this.bitmapFonts);
+
+            // Input state
+            this.keys = {};
+            this.mouse = { x: 0, y: 0, buttons: 0 };
+            this.gamepad = null;         // First connected gamepad
+            this.gamepadStates = {};     // Per-gamepad button state, keyed by Gamepad.index
+
+            // Local multiplayer: players with their own focus cursor, driven by assigned gamepads
+            this.players = [];
+            this.activePlayer = null;    // Player whose input is being handled, for use in callbacks
+
+            // Keyboard and gamepad bindings for UI actions
+            this.input = options.inputMap || new InputMap(options.bindings);
+            this.pendingRebind = null;
+
+            // Hold-to-repeat state for directions
+            this.repeatTimers = {};      // ms until the next repeat, keyed by input
+            this.heldArrowKey = null;    // Arrow key being repeated, with its modifiers
+
+            // Pointer state
+            this.hoveredControl = null;  // Control currently under the mouse
+            this.pressedControl = null;  // Control the current mouse press started on
+            this.capturedControl = null; // Control receiving moves until the button is released
+            this.activePointer = null;   // Primary pointer currently pressed, if any
+            this.pressedToast = null;    // Toast the current press started on
+
+            // Input being handled, { source, gamepadIndex }, stamped on the events it fires
+            this.inputSource = null;
+            this.focusedControl = null;  // Last focus announced with focus/blur events
+
+            // Hidden DOM input for IME composition, created on first use
+            this.textInputElement = null;
+            this.textInputTarget = null; // TextInput the hidden input is bound to
+
+            // Named callbacks that loaded definitions bind to (see load)
+            this.callbacks = {};
+
+            // Event callbacks
+            this.onEscape = null;
+            this.onGamepadConnected = null;    // (gamepad) => {}
+            this.onGamepadDisconnected = null; // (gamepad) => {}
+            this.onPlayerAction = null;        // (player, action, control) => true to consume the action
+
+            // Setup event listeners
+            this.setupEventListeners();
+
+            // Screen reader mirror of the controls (see setAccessibility)
+            this.accessibility = null;
+            this.setAccessibility(this.options.accessibility);
+            this.updateView();
+
+            // Animation frame
+            this.lastFrameTime = 0;
+            this.animationFrameId = null;
+            this.start();
+        }
+
+        setupEventListeners() {
+            this.listeners = []; // [target, type, handler, options], removed by destroy
+            const keyboard = { source: 'keyboard' };
+            const pointer = (e) => ({ source: e.pointerType || 'mouse' });
+
+            // Keyboard events
+            this.listen(window, 'keydown', (e) => this.withInputSource(keyboard, () => this.handleKeyDown(e)));
+            this.listen(window, 'keyup', (e) => this.handleKeyUp(e));
+            this.listen(window, 'blur', () => this.handleWindowBlur());
+
+            // Clipboard events
+            this.listen(window, 'copy', (e) => this.withInputSource(keyboard, () => this.handleClipboardEvent(e)));
+            this.listen(window, 'cut', (e) => this.withInputSource(keyboard, () => this.handleClipboardEvent(e)));
+            this.listen(window, 'paste', (e) => this.withInputSource(keyboard, () => this.handleClipboardEvent(e)));
+
+            // Pointer events (mouse, touch and pen)
+            this.canvas.style.touchAction = 'none'; // Stop the browser panning and zooming on touch
+            this.listen(this.canvas, 'pointerdown', (e) => this.withInputSource(pointer(e), () => this.handlePointerDown(e)));
+            this.listen(this.canvas, 'pointermove', (e) => this.withInputSource(pointer(e), () => this.handlePointerMove(e)));
+            this.listen(this.canvas, 'pointerup', (e) => this.withInputSource(pointer(e), () => this.handlePointerUp(e)));
+            this.listen(this.canvas, 'pointercancel', (e) => this.withInputSource(pointer(e), () => this.handlePointerCancel(e)));
+            this.listen(this.canvas, 'pointerleave', (e) => this.withInputSource(pointer(e), () => this.handlePointerLeave(e)));
+            this.listen(this.canvas, 'wheel', (e) => this.withInputSource({ source: 'mouse' }, () => this.handleWheel(e)), { passive: false });
+            this.listen(this.canvas, 'contextmenu', (e) => this.handleContextMenu(e));
+
+            // Gamepad support
+            this.listen(window, 'gamepadconnected', (e) => {
+                console.log('Gamepad connected:', e.gamepad.id);
+                if (this.onGamepadConnected) {
+                    this.onGamepadConnected(e.gamepad);
+                }
+            });
+            this.listen(window, 'gamepaddisconnected', (e) => this.handleGamepadDisconnected(e.gamepad));
+
+            // Resizing (devicePixelRatio also changes on zoom and when moving between screens)
+            this.listen(window, 'resize', () => this.updateView());
+            if (typeof ResizeObserver !== 'undefined') {
+                this.resizeObserver = new ResizeObserver(() => this.updateView());
+                this.resizeObserver.observe(this.canvas);
+            }
+        }
+
+        // Add an event listener that destroy() removes again
+        listen(target, type, handler, options) {
+            target.addEventListener(type, handler, options);
+            this.listeners.push([target, type, handler, options]);
+        }
+
+        // Stop the UI and let go of everything it added to the page: event listeners,
+        // the resize observer, the hidden text input and the screen reader mirror
+        destroy() {
+            this.stop();
+            for (let [target, type, handler, options] of this.listeners) {
+                target.removeEventListener(type, handler, options);
+            }
+            this.listeners = [];
+            if (this.resizeObserver) {
+                this.resizeObserver.disconnect();
+                this.resizeObserver = null;
+            }
+            if (this.textInputElement) {
+                this.textInputElement.remove();
+                this.textInputElement = null;
+                this.textInputTarget = null;
+            }
+            this.setAccessibility(false);
+        }
+
+        // Run an input handler with its source recorded for the events it fires, then
+        // announce any focus change it made. The hidden text input follows focus here,
+        // inside the gesture, which mobile browsers require to show a keyboard.
+        withInputSource(source, handler) {
+            const previous = this.inputSource;
+            this.inputSource = source;
+            try {
+                return handler();
+            } finally {
+                this.syncTextInputElement();
+                this.syncFocus();
+                this.inputSource = previous;
+            }
+        }
+
+        // Whether the page's focus is on the UI: the canvas, the hidden text input or
+        // the screen reader mirror
+        hasDOMFocus() {
+            const active = document.activeElement;
+            if (!active) return false;
+            if (active === this.canvas || active === this.textInputElement) return true;
+            for (let node = active; node && this.accessibility; node = node.parentNode) {
+                if (node === this.accessibility.root) return true;
+            }
+            return false;
+        }
+
+        // Turn the screen reader mirror on or off
+        setAccessibility(enabled) {
+            this.options.accessibility = enabled;
+            if (enabled && !this.accessibility) {
+                this.accessibility = new AccessibilityMirror(this);
+                this.accessibility.sync();
+            } else if (!enabled && this.accessibility) {
+                this.accessibility.destroy();
+                this.accessibility = null;
+            }
+        }
+
+        // Have screen readers read a message out; politeness 'assertive' interrupts them.
+        // Does nothing unless accessibility is on.
+        announce(message, politeness = 'polite') {
+            if (this.accessibility) {
+                this.accessibility.announce(message, politeness);
+            }
+        }
+
+        // Build an event stamped with the input being handled
+        createEvent(type, target, detail = {}) {
+            return new UIEvent(type, target, { ...this.inputSource, player: this.activePlayer, ...detail });
+        }
+
+        emit(type, detail = {}) {
+            return this.dispatchEvent(this.createEvent(type, this, detail));
+        }
+
+        // Fire blur and focus for each cursor whose control changed since the last check.
+        // Runs after every input and every frame, so focus moved from code is seen too.
+        syncFocus() {
+            for (let cursor of [this, ...this.players]) {
+                const control = this.getFocusedControl(cursor);
+                const previous = cursor.focusedControl || null;
+                if (control === previous) continue;
+
+                cursor.focusedControl = control;
+                const player = cursor === this ? null : cursor;
+                if (previous) {
+                    previous.emit('blur', { player, relatedTarget: control });
+                }
+                if (control) {
+                    control.emit('focus', { player, relatedTarget: previous });
+                }
+            }
+        }
+
+        // Get mouse position in UI coordinates, accounting for CSS scaling and the view transform
+        getCanvasMousePosition(e) {
+            const rect = this.canvas.getBoundingClientRect();
+            const scaleX = this.canvas.width / rect.width;
+            const scaleY = this.canvas.height / rect.height;
+            
+            return {
+                x: ((e.clientX - rect.left) * scaleX - this.view.offsetX) / this.view.scaleX,
+                y: ((e.clientY - rect.top) * scaleY - this.view.offsetY) / this.view.scaleY
+            };
+        }
+
+        // Work out how UI coordinates map onto the canvas. Without a virtual resolution
+        // UI coordinates are the canvas's pixels as sized in code, and the backing store
+        // is that size times devicePixelRatio. With one, the backing store follows the
+        // element's CSS size times devicePixelRatio and:
+        //   letterbox - scales uniformly and centers the design area, with bars around it
+        //   stretch   - scales each axis to fill the canvas
+        //   fit       - scales uniformly and widens the viewport on the longer axis instead
+        //               of adding bars, so anchored controls reach the real edges
+        // Called on resize; call it yourself after changing the canvas size in code.
+        updateView() {
+            const previous = this.viewport;
+            const previousView = this.view;
+            const virtualWidth = this.options.virtualWidth;
+            const virtualHeight = this.options.virtualHeight;
+
+            if (!virtualWidth || !virtualHeight) {
+                // A size set in code since the last call is the new UI size
+                const backing = this.backingSize;
+                if (!backing || this.canvas.width !== backing.width || this.canvas.height !== backing.height) {
+                    this.canvasSize = { width: this.canvas.width, height: this.canvas.height };
+                }
+                const { width, height } = this.canvasSize;
+
+                // Until the canvas is laid out its pixels are used one to one
+                const rect = this.canvas.getBoundingClientRect();
+                const laidOut = rect.width > 0 && rect.height > 0;
+                const ratio = laidOut && this.options.hidpi ? (window.devicePixelRatio || 1) : 1;
+
+                // A canvas shown at its own size (no CSS size) keeps that size on screen
+                if (laidOut && (this.pinnedCanvasSize || (ratio !== 1 &&
+                    rect.width === this.canvas.width && rect.height === this.canvas.height))) {
+                    this.canvas.style.width = `${width}px`;
+                    this.canvas.style.height = `${height}px`;
+                    this.pinnedCanvasSize = true;
+                }
+                const backingWidth = Math.round(width * ratio);
+                const backingHeight = Math.round(height * ratio);
+                if (this.canvas.width !== backingWidth || this.canvas.height !== backingHeight) {
+                    this.canvas.width = backingWidth;
+                    this.canvas.height = backingHeight;
+                }
+
+                this.view = { scaleX: ratio, scaleY: ratio, offsetX: 0, offsetY: 0 };
+                this.viewport = { x: 0, y: 0, width, height };
+            } else {
+                const rect = this.canvas.getBoundingClientRect();
+                if (!rect.width || !rect.height) return; // Not laid out yet
+
+                const ratio = this.options.hidpi ? (window.devicePixelRatio || 1) : 1;
+
+                // A canvas shown at its own size (no CSS size) would grow with its backing store
+                if (!this.pinnedCanvasSize && ratio !== 1 &&
+                    rect.width === this.canvas.width && rect.height === this.canvas.height) {
+                    this.canvas.style.width = `${rect.width}px`;
+                    this.canvas.style.height = `${rect.height}px`;
+                    this.pinnedCanvasSize = true;
+                }
+                const width = Math.round(rect.width * ratio);
+                const height = Math.round(rect.height * ratio);
+                if (this.canvas.width !== width || this.canvas.height !== height) {
+                    this.canvas.width = width;
+                    this.canvas.height = height;
+                }
+
+                const mode = this.options.scaleMode;
+                if (mode === 'stretch') {
+                    this.view = { scaleX: width / virtualWidth, scaleY: height / virtualHeight, offsetX: 0, offsetY: 0 };
+                    this.viewport = { x: 0, y: 0, width: virtualWidth, height: virtualHeight };
+                } else {
+                    const scale = Math.min(width / virtualWidth, height / virtualHeight);
+                    const offsetX = (width - virtualWidth * scale) / 2;
+                    const offsetY = (height - virtualHeight * scale) / 2;
+                    this.view = { scaleX: scale, scaleY: scale, offsetX, offsetY };
+                    if (mode === 'fit') {
+                        this.viewport = {
+                            x: -offsetX / scale,
+                            y: -offsetY / scale,
+                            width: width / scale,
+                            height: height / scale
+                        };
+                    } else {
+                        this.viewport = { x: 0, y: 0, width: virtualWidth, height: virtualHeight };
+                    }
+                }
+            }
+
+            this.backingSize = { width: this.canvas.width, height: this.canvas.height };
+            const viewport = this.viewport;
+            const view = this.view;
+            const viewportChanged = viewport.x !== previous.x || viewport.y !== previous.y ||
+                viewport.width !== previous.width || viewport.height !== previous.height;
+            if (!viewportChanged && view.scaleX === previousView.scaleX && view.scaleY === previousView.scaleY &&
+                view.offsetX === previousView.offsetX && view.offsetY === previousView.offsetY) return;
+
+            // Re-lay out everything that depends on the viewport
+            if (viewportChanged) {
+                for (let screen of new Set([this.rootScreen, ...this.screenStack, ...Object.values(this.screens)])) {
+                    this.layoutAnchors(screen);
+                }
+                for (let modal of this.modals) {
+                    modal.layout();
+                }
+            }
+            if (this.onResize) {
+                this.onResize(viewport);
+            }
+        }
+
+        // Move a screen's anchored controls, texts and images to their place in the viewport.
+        // Controls inside containers follow their container instead.
+        layoutAnchors(screen) {
+            for (let item of [...screen.controls, ...screen.texts, ...screen.images]) {
+                if (item.anchor && !item.parent) {
+                    applyAnchor(item, this.viewport);
+                }
+            }
+        }
+
+        handleKeyDown(e) {
+            this.keys[e.key] = true;
+
+            // Screens don't take input while they animate in
+            if (this.transition) return;
+
+            // Keys pressed while an IME is composing belong to the IME
+            if (e.isComposing || e.keyCode === 229) return;
+
+            // Rebinding takes the next key press
+            if (this.pendingRebind && this.pendingRebind.source !== 'gamepad') {
+                this.completeKeyRebind(e);
+                return;
+            }
+
+            const action = this.input.getKeyAction(e);
+            if (action && this.handleToastAction(action)) {
+                e.preventDefault();
+                return;
+            }
+
+            // Direction keys repeat at our own rate from update(), not the OS key repeat
+            if (DIRECTIONS[action]) {
+                if (e.repeat && !e.generated) {
+                    e.preventDefault();
+                    return;
+                }
+                if (!e.generated) {
+                    this.heldArrowKey = {
+                        key: e.key,
+                        shiftKey: e.shiftKey,
+                        ctrlKey: e.ctrlKey,
+                        altKey: e.altKey,
+                        metaKey: e.metaKey
+                    };
+                    this.repeatTimers.key = this.options.repeatDelay;
+                }
+            }
+
+            // Pass to focused control
+            const control = this.getFocusedControl();
+            if (control && !control.disabled && control.handleKeyDown) {
+                control.handleKeyDown(e, action);
+                if (e.defaultPrevented) return;
+            }
+
+            // Actions the control didn't use (Tab, Escape, arrows in spatial mode)
+            if (action && this.handleNavigationAction(action, 'keyboard')) {
+                e.preventDefault();
+            }
+        }
+
+        // Manager-level handling for an action the focused control didn't consume.
+        // cursor is the manager itself or a player. Returns true when the action was used.
+        handleNavigationAction(action, source, cursor = this) {
+            if (action === 'next') {
+                this.focusNext(cursor);
+            } else if (action === 'previous') {
+                this.focusPrevious(cursor);
+            } else if (action === 'cancel' && this.modals.length > 0) {
+                this.modals[this.modals.length - 1].cancel();
+            } else if (action === 'confirm' && this.modals.length > 0) {
+                return this.modals[this.modals.length - 1].submit();
+            } else if ((action === 'pageUp' || action === 'pageDown') && this.modals.length > 0) {
+                return this.modals[this.modals.length - 1].scrollPage(action === 'pageDown' ? 1 : -1);
+            } else if (action === 'cancel' && cursor === this) {
+                const screen = this.getCurrentScreen();
+                if (this.emit('back', { screen }).defaultPrevented) {
+                    // A listener handled it
+                } else if (screen.onBack) {
+                    screen.onBack(screen);
+                } else if (this.screenStack.length > 1) {
+                    this.popScreen();
+                } else if (this.onEscape) {
+                    this.onEscape();
+                }
+            } else if (DIRECTIONS[action] && this.usesSpatialNavigation()) {
+                this.focusDirection(action, cursor);
+            } else if (action === 'up' && source === 'gamepad') {
+                this.focusPrevious(cursor);
+            } else if (action === 'down' && source === 'gamepad') {
+                this.focusNext(cursor);
+            } else {
+                return false;
+            }
+            return true;
+        }
+
+        // Directions move focus spatially with the spatial navigation option, and always
+        // inside modals, where fields sit above a row of buttons
+        usesSpatialNavigation() {
+            return this.options.navigation === 'spatial' || this.modals.length > 0;
+        }
+
+        // Bind the next key press or gamepad button to an action. Resolves with
+        // { type: 'key', key } or { type: 'gamepad', button, profile }, or null if cancelled.
+        // source limits it to 'keyboard' or 'gamepad'; replace removes the action's other bindings.
+        // A key or button bound to 'cancel' cancels the rebind unless allowCancel is set.
+        rebindNextInput(action, options = {}) {
+            this.cancelRebind();
+            return new Promise((resolve) => {
+                this.pendingRebind = {
+                    action,
+                    source: options.source || 'any',
+                    replace: options.replace !== false,
+                    allowCancel: options.allowCancel || false,
+                    resolve
+                };
+            });
+        }
+
+        cancelRebind() {
+            if (this.pendingRebind) {
+                const { resolve } = this.pendingRebind;
+                this.pendingRebind = null;
+                resolve(null);
+            }
+        }
+
+        completeKeyRebind(e) {
+            // Wait for the actual key when only a modifier is down
+            if (MODIFIER_KEYS.includes(e.key)) return;
+
+            const { action, replace, allowCancel, resolve } = this.pendingRebind;
+            e.preventDefault();
+            if (!allowCancel && this.input.getKeyAction(e) === 'cancel') {
+                this.cancelRebind();
+                return;
+            }
+
+            const key = this.input.getKeyName(e);
+            const displaced = this.input.keyBindings[key];
+            const oldKeys = this.input.getBindings(action).keys;
+            this.pendingRebind = null;
+            if (replace) {
+                this.input.unbindAction(action, 'keyboard');
+            }
+            this.input.bindKey(key, action);
+
+            // The action the key belonged to takes this one's old key if it has none left
+            if (replace && displaced && displaced !== action && oldKeys.length > 0 &&
+                this.input.getBindings(displaced).keys.length === 0) {
+                this.input.bindKey(oldKeys[0], displaced);
+            }
+            resolve({ type: 'key', key });
+        }
+
+        completeGamepadRebind(gamepad, buttonIndex) {
+            const { action, replace, allowCancel, resolve } = this.pendingRebind;
+            const displaced = this.input.getGamepadAction(gamepad, buttonIndex);
+            if (!allowCancel && displaced === 'cancel') {
+                this.cancelRebind();
+                return;
+            }
+
+            const profile = this.input.getGamepadProfile(gamepad);
+            const oldButtons = this.input.getBindings(action, profile).buttons;
+            this.pendingRebind = null;
+            if (replace) {
+                this.input.unbindAction(action, 'gamepad', profile);
+            }
+            this.input.bindGamepadButton(buttonIndex, action, profile);
+
+            // The action the button belonged to takes this one's old button if it has none left
+            if (replace && displaced && displaced !== action && oldButtons.length > 0 &&
+                this.input.getBindings(displaced, profile).buttons.length === 0) {
+                this.input.bindGamepadButton(oldButtons[0], displaced, profile);
+            }
+            resolve({ type: 'gamepad', button: buttonIndex, profile });
+        }
+
+        handleKeyUp(e) {
+            this.keys[e.key] = false;
+            if (this.heldArrowKey && this.heldArrowKey.key === e.key) {
+                this.heldArrowKey = null;
+            }
+        }
+
+        // Keyup events are lost while the window is in the background
+        handleWindowBlur() {
+            this.keys = {};
+            this.heldArrowKey = null;
+        }
+
+        // Count down a hold-to-repeat timer; returns true each time the held input should fire again
+        stepRepeat(id, deltaTime) {
+            this.repeatTimers[id] -= deltaTime;
+            if (this.repeatTimers[id] > 0) return false;
+
+            // Fire at most once per frame, however long the frame took
+            this.repeatTimers[id] = Math.max(this.repeatTimers[id] + this.options.repeatInterval, 0);
+            return true;
+        }
+
+        updateKeyRepeat(deltaTime) {
+            if (this.heldArrowKey && this.stepRepeat('key', deltaTime)) {
+                const e = createKeyEvent(this.heldArrowKey.key, { ...this.heldArrowKey, repeat: true });
+                this.withInputSource({ source: 'keyboard' }, () => this.handleKeyDown(e));
+            }
+        }
+
+        // Focused control that receives keyboard input. Pass a player to get the control
+        // under that player's cursor instead (null while a modal is open).
+        getFocusedControl(cursor = this) {
+            if (cursor !== this && this.modals.length > 0) return null;
+            if (cursor.focusIndex < 0 || cursor.focusIndex >= this.controls.length) return null;
+            return this.controls[cursor.focusIndex];
+        }
+
+        // Forward copy/cut/paste to the focused control (e.g. TextInput.handlePaste).
+        // Only events aimed at the UI are taken; copying from the rest of the page is left alone.
+        handleClipboardEvent(e) {
+            if (e.target !== this.canvas && e.target !== this.textInputElement && e.target !== document.body) return;
+
+            const control = this.getFocusedControl();
+            if (!control) return;
+
+            const handlers = { copy: 'handleCopy', cut: 'handleCut', paste: 'handlePaste' };
+            const handler = control[handlers[e.type]];
+            if (handler) {
+                handler.call(control, e);
+            }
+        }
+
+        handlePointerDown(e) {
+            // Only the primary pointer drives the UI; extra touches are ignored
+            if (!e.isPrimary) return;
+
+            const pos = this.getCanvasMousePosition(e);
+            this.updateMouse(e, pos);
+
+            // Only the primary button presses and drags controls
+            if (e.button !== 0 || this.transition) return;
+
+            this.activePointer = {
+                id: e.pointerId,
+                type: e.pointerType,
+                startX: pos.x,
+                startY: pos.y,
+                lastX: pos.x,
+                lastY: pos.y,
+                moved: false,       // Travelled further than tapSlop
+                scrolling: false,   // Turned into a scroll gesture
+                holdTime: 0,
+                holdFired: false,
+                longPressed: false, // A long-press handler consumed the press
+                onModal: this.modals.length > 0
+            };
+
+            // Keep receiving moves for this pointer even outside the canvas
+            if (this.canvas.setPointerCapture) {
+                this.canvas.setPointerCapture(e.pointerId);
+            }
+
+            this.pressedControl = null;
+
+            // Toasts sit above everything and handle their own taps
+            this.pressedToast = this.getToastAt(pos.x, pos.y);
+            if (this.pressedToast) return;
+
+            const index = this.getControlIndexAt(pos.x, pos.y);
+            if (index === -1) return;
+
+            const control = this.controls[index];
+            this.focusIndex = index;
+            this.pressedControl = control;
+            this.capturedControl = control;
+
+            // The hidden input is focused in this same gesture (so mobile keyboards open);
+            // stop the browser's mousedown focus change from blurring it straight after
+            if (control instanceof TextInput && this.options.imeInput) {
+                e.preventDefault();
+            }
+
+            // Touch has no hover, so highlight the pressed control instead
+            if (e.pointerType !== 'mouse') {
+                this.setHoveredControl(control);
+            }
+
+            if (control.handlePointerDown) {
+                control.handlePointerDown(pos.x, pos.y);
+            }
+        }
+
+        handlePointerMove(e) {
+            if (!e.isPrimary) return;
+
+            const pos = this.getCanvasMousePosition(e);
+            this.updateMouse(e, pos);
+
+            const pointer = this.activePointer;
+            if (pointer && pointer.id === e.pointerId) {
+                const dx = pos.x - pointer.lastX;
+                const dy = pos.y - pointer.lastY;
+                pointer.lastX = pos.x;
+                pointer.lastY = pos.y;
+
+                if (!pointer.moved &&
+                    Math.hypot(pos.x - pointer.startX, pos.y - pointer.startY) > this.options.tapSlop) {
+                    pointer.moved = true;
+                }
+
+                // Touch drags that start outside a draggable control become scroll gestures
+                const draggable = this.capturedControl && this.capturedControl.handlePointerDown;
+                if (pointer.type !== 'mouse' && pointer.moved && !draggable) {
+                    if (!pointer.scrolling) {
+                        pointer.scrolling = true;
+                        this.pressedControl = null;
+                        this.capturedControl = null;
+                        this.setHoveredControl(null);
+                    }
+                    this.dispatchScroll(pointer.startX, pointer.startY, -dx, -dy);
+                    return;
+                }
+
+                // While a control has captured the pointer it receives every move
+                if (this.capturedControl) {
+                    if (this.capturedControl.handlePointerMove) {
+                        this.capturedControl.handlePointerMove(pos.x, pos.y);
+                    }
+                    return;
+                }
+            }
+
+            // Touch and pen only hover while pressed
+            if (e.pointerType !== 'mouse') return;
+
+            this.updateHover(pos.x, pos.y);
+        }
+
+        handlePointerUp(e) {
+            const pointer = this.activePointer;
+            if (!pointer || pointer.id !== e.pointerId) return;
+
+            const pos = this.getCanvasMousePosition(e);
+            this.updateMouse(e, pos);
+            this.endPointer(e, pos);
+
+            // A tap is a press that was neither scrolled nor consumed by a long press,
+            // and that started and ended with the same modal state
+            const onModal = this.modals.length > 0;
+            if (!pointer.scrolling && !pointer.longPressed && pointer.onModal === onModal) {
+                this.handleClick(e);
+            }
+
+            if (e.pointerType === 'mouse') {
+                // Refresh hover now that the drag has finished
+                this.updateHover(pos.x, pos.y);
+            } else {
+                this.setHoveredControl(null);
+            }
+        }
+
+        handlePointerCancel(e) {
+            const pointer = this.activePointer;
+            if (!pointer || pointer.id !== e.pointerId) return;
+
+            this.endPointer(e, { x: pointer.lastX, y: pointer.lastY });
+            this.setHoveredControl(null);
+        }
+
+        handlePointerLeave(e) {
+            if (this.activePointer) return;
+            this.setHoveredControl(null);
+            for (let toast of this.toasts) {
+                toast.hovered = false;
+                toast.hoverAction = -1;
+            }
+        }
+
+        handleWheel(e) {
+            if (this.transition) return;
+            const pos = this.getCanvasMousePosition(e);
+            // deltaMode 1 reports lines rather than pixels
+            const scale = e.deltaMode === 1 ? 16 : 1;
+            if (this.dispatchScroll(pos.x, pos.y, e.deltaX * scale, e.deltaY * scale)) {
+                e.preventDefault();
+            }
+        }
+
+        handleContextMenu(e) {
+            // Suppress the long-press menu on touch devices
+            if (this.activePointer && this.activePointer.type !== 'mouse') {
+                e.preventDefault();
+            }
+        }
+
+        // Keep the legacy mouse state in sync with pointer events
+        updateMouse(e, pos) {
+            this.mouse.x = pos.x;
+            this.mouse.y = pos.y;
+            if (e.pointerType === 'mouse') {
+                this.mouse.buttons = e.buttons;
+            }
+        }
+
+        // Release capture and finish any drag for the active pointer
+        endPointer(e, pos) {
+            this.activePointer = null;
+            if (this.canvas.releasePointerCapture && this.canvas.hasPointerCapture &&
+                this.canvas.hasPointerCapture(e.pointerId)) {
+                this.canvas.releasePointerCapture(e.pointerId);
+            }
+
+            const control = this.capturedControl;
+            this.capturedControl = null;
+            if (control && control.handlePointerUp) {
+                control.handlePointerUp(pos.x, pos.y);
+            }
+        }
+
+        // Send a scroll delta to the topmost control under a point that can scroll (such
+        // as a Menu with visibleItems), or else to the top modal's message
+        dispatchScroll(x, y, deltaX, deltaY) {
+            for (let i = this.controls.length - 1; i >= 0; i--) {
+                const control = this.controls[i];
+                if (control.handleScroll && control.containsPoint(x, y) && control.handleScroll(deltaX, deltaY)) {
+                    return true;
+                }
+            }
+            if (this.modals.length > 0) {
+                return this.modals[this.modals.length - 1].handleScroll(deltaX, deltaY);
+            }
+            return false;
+        }
+
+        // Fire long presses for a pointer held still
+        updatePointer(deltaTime) {
+            const pointer = this.activePointer;
+            if (!pointer || pointer.moved || pointer.holdFired) return;
+
+            pointer.holdTime += deltaTime;
+            if (pointer.holdTime >= this.options.longPressDelay) {
+                pointer.holdFired = true;
+                const control = this.pressedControl;
+                if (control && control.handleLongPress) {
+                    pointer.longPressed = control.handleLongPress(pointer.startX, pointer.startY) === true;
+                }
+            }
+        }
+
+        handleClick(e) {
+            const pos = this.getCanvasMousePosition(e);
+
+            // Check toasts first, ignoring taps released off the toast pressed
+            if (this.pressedToast) {
+                const toast = this.pressedToast;
+                this.pressedToast = null;
+                if (this.getToastAt(pos.x, pos.y) === toast) {
+                    toast.handleClick(pos.x, pos.y);
+                }
+                return;
+            }
+            
+            // Check controls
+            const index = this.getControlIndexAt(pos.x, pos.y);
+            if (index === -1) return;
+
+            // Ignore clicks released over a different control than the one pressed,
+            // or over a control when the press started on empty canvas
+            const control = this.controls[index];
+            if (this.pressedControl !== control) return;
+
+            this.focusIndex = index;
+            if (control.handleClick) {
+                control.handleClick(pos.x, pos.y);
+            }
+        }
+
+        // Hidden DOM input that receives IME composition and text for the focused TextInput
+        getTextInputElement() {
+            if (!this.textInputElement) {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.setAttribute('autocomplete', 'off');
+                input.setAttribute('autocorrect', 'off');
+                input.setAttribute('autocapitalize', 'off');
+                input.setAttribute('spellcheck', 'false');
+                input.setAttribute('aria-hidden', 'true');
+                input.tabIndex = -1;
+                Object.assign(input.style, {
+                    position: 'fixed',
+                    left: '0px',
+                    top: '0px',
+                    width: '1px',
+                    height: '1px',
+                    padding: '0',
+                    border: '0',
+                    opacity: '0',
+                    fontSize: '16px', // Smaller fonts make iOS zoom in on focus
+                    pointerEvents: 'none'
+                });
+
+                const keyboard = { source: 'keyboard' };
+                input.addEventListener('input', (e) => this.withInputSource(keyboard, () => this.handleTextInputElementInput(e)));
+                input.addEventListener('compositionstart', (e) => this.withInputSource(keyboard, () => this.handleCompositionEvent(e)));
+                input.addEventListener('compositionupdate', (e) => this.withInputSource(keyboard, () => this.handleCompositionEvent(e)));
+                input.addEventListener('compositionend', (e) => this.withInputSource(keyboard, () => this.handleCompositionEvent(e)));
+
+                document.body.appendChild(input);
+                this.textInputElement = input;
+            }
+            return this.textInputElement;
+        }
+
+        // Bind the hidden input to the focused TextInput and give it DOM focus. Focus only
+        // moves in response to input on the UI (pointer and gamepad, or keys while nothing
+        // else on the page has focus) or while the UI has it, so focusing a TextInput from
+        // code doesn't take focus from the page or open an on-screen keyboard.
+        syncTextInputElement() {
+            if (!this.options.imeInput) return;
+
+            const control = this.getFocusedControl();
+            const target = control instanceof TextInput ? control : null;
+            const source = this.inputSource && this.inputSource.source;
+            const mayFocus = this.hasDOMFocus() || (source && source !== 'keyboard') ||
+                (source === 'keyboard' && document.activeElement === document.body);
+            if (target === this.textInputTarget) {
+                // Take focus back, e.g. after pressing the canvas blurred the input
+                if (target && mayFocus && document.activeElement !== this.textInputElement) {
+                    this.textInputElement.focus({ preventScroll: true });
+                }
+                return;
+            }
+
+            if (this.textInputTarget) {
+                this.textInputTarget.cancelComposition();
+            }
+            this.textInputTarget = target;
+
+            const input = this.getTextInputElement();
+            if (target) {
+                // Password fields disable IMEs; inputMode picks the on-screen keyboard
+                input.type = target.options.password ? 'password' : 'text';
+                input.inputMode = target.options.inputMode === 'numeric' ? 'numeric' : 'text';
+                input.value = '';
+
+                // With the accessibility mirror on, this is the element readers see focused
+                if (this.accessibility) {
+                    input.removeAttribute('aria-hidden');
+                    input.setAttribute('aria-label', this.resolveText(target.getAccessibleInfo().label) || '');
+                } else {
+                    input.setAttribute('aria-hidden', 'true');
+                }
+                this.positionTextInputElement();
+                if (mayFocus && document.activeElement !== input) {
+                    input.focus({ preventScroll: true });
+                }
+            } else if (document.activeElement === input) {
+                input.blur();
+            }
+        }
+
+        // Move the hidden input to the caret so IME candidate windows appear beside it
+        positionTextInputElement() {
+            if (!this.textInputElement || !this.textInputTarget) return;
+
+            const caret = this.textInputTarget.getCaretPosition();
+            const pos = this.canvasToClient(caret.x, caret.y);
+            this.textInputElement.style.left = `${pos.x}px`;
+            this.textInputElement.style.top = `${pos.y}px`;
+        }
+
+        handleTextInputElementInput(e) {
+            const target = this.textInputTarget;
+            if (!target) return;
+
+            // Composition text arrives through compositionend instead
+            if (e.isComposing || target.compositionText !== null) return;
+
+            if (e.inputType === 'deleteContentBackward') {
+                target.handleKeyDown({ key: 'Backspace', preventDefault() {} });
+            } else if (e.inputType === 'deleteContentForward') {
+                target.handleKeyDown({ key: 'Delete', preventDefault() {} });
+            } else if (e.inputType !== 'insertCompositionText' && e.data) {
+                target.insertText(e.data);
+                target.resetCursorBlink();
+            }
+            this.textInputElement.value = '';
+        }
+
+        handleCompositionEvent(e) {
+            const target = this.textInputTarget;
+            if (!target) return;
+
+            if (e.type === 'compositionstart') {
+                target.handleCompositionStart();
+            } else if (e.type === 'compositionupdate') {
+                target.handleCompositionUpdate(e.data || '');
+            } else {
+                target.handleCompositionEnd(e.data || '');
+                this.textInputElement.value = '';
+            }
+            this.positionTextInputElement();
+        }
+
+        // Inverse of getCanvasMousePosition, for placing DOM elements over the canvas. Pass
+        // the canvas's bounding rect when converting many points, to read layout once.
+        canvasToClient(x, y, rect = this.canvas.getBoundingClientRect()) {
+            return {
+                x: rect.left + (x * this.view.scaleX + this.view.offsetX) * rect.width / this.canvas.width,
+                y: rect.top + (y * this.view.scaleY + this.view.offsetY) * rect.height / this.canvas.height
+            };
+        }
+
+        // Topmost control under a point, or -1. A disabled control blocks the pointer
+        // without taking it.
+        getControlIndexAt(x, y) {
+            for (let i = this.controls.length - 1; i >= 0; i--) {
+                if (this.controls[i].containsPoint(x, y)) {
+                    return this.controls[i].disabled ? -1 : i;
+                }
+            }
+            return -1;
+        }
+
+        updateHover(x, y) {
+            // Hovering a toast pauses it and keeps the pointer off what lies beneath
+            const toast = this.getToastAt(x, y);
+            for (let t of this.toasts) {
+                t.hovered = t === toast;
+                t.hoverAction = t === toast ? t.getActionAt(x, y) : -1;
+            }
+            if (toast) {
+                this.setHoveredControl(null);
+                return;
+            }
+
+            const index = this.getControlIndexAt(x, y);
+            const control = index === -1 ? null : this.controls[index];
+            this.setHoveredControl(control);
+
+            if (control && control.handlePointerMove) {
+                control.handlePointerMove(x, y);
+            }
+        }
+
+        setHoveredControl(control) {
+            if (this.hoveredControl === control) return;
+
+            const previous = this.hoveredControl;
+            if (previous) {
+                previous.hovered = false;
+                if (previous.handlePointerLeave) {
+                    previous.handlePointerLeave();
+                }
+            }
+
+            this.hoveredControl = control;
+            if (control) {
+                control.hovered = true;
+            }
+
+            if (previous) {
+                previous.emit('hover', { hovered: false });
+            }
+            if (control) {
+                control.emit('hover', { hovered: true });
+            }
+        }
+
+        updateGamepad(deltaTime) {
+            const gamepads = navigator.getGamepads();
+            if (!gamepads) return;
+
+            this.gamepad = null;
+            for (let gp of gamepads) {
+                if (gp) {
+                    if (!this.gamepad) {
+                        this.gamepad = gp;
+                    }
+
+                    let state = this.gamepadStates[gp.index];
+                    if (!state) {
+                        state = this.gamepadStates[gp.index] = { buttons: [] };
+                    }
+
+                    const buttons = gp.buttons.map((button) => Boolean(button && button.pressed));
+                    
+                    // Check for button presses (compare with last frame)
+                    for (let i = 0; i < buttons.length; i++) {
+                        const pressed = buttons[i];
+                        const wasPressed = state.buttons[i] || false;
+                        const repeatId = `pad${gp.index}:${i}`;
+                        
+                        if (pressed && !wasPressed) {
+                            this.repeatTimers[repeatId] = this.options.repeatDelay;
+                            if (this.pendingRebind && this.pendingRebind.source !== 'keyboard') {
+                                this.completeGamepadRebind(gp, i);
+                            } else {
+                                this.handleGamepadButton(i, gp);
+                            }
+                        } else if (pressed && DIRECTIONS[this.input.getGamepadAction(gp, i)] &&
+                                   this.stepRepeat(repeatId, deltaTime)) {
+                            // Held directions repeat
+                            this.handleGamepadButton(i, gp);
+                        }
+                    }
+                    
+                    // Update button state
+                    state.buttons = buttons;
+
+                    // The left stick acts as a D-pad
+                    this.updateStickDirection(gp, state, deltaTime);
+
+                    // The right stick scrolls
+                    this.updateStickScroll(gp, deltaTime);
+                }
+            }
+        }
+
+        // Scroll with the axis bound to 'scrollY' (the right stick), faster the further it
+        // is pushed. A pad assigned to a player scrolls the control under that player's cursor.
+        updateStickScroll(gp, deltaTime) {
+            const deadzone = this.options.stickScrollDeadzone;
+            const axis = this.input.getGamepadAxisValue(gp, 'scrollY');
+            if (Math.abs(axis) <= deadzone || this.transition) return;
+
+            const speed = (Math.abs(axis) - deadzone) / (1 - deadzone) * Math.sign(axis);
+            this.scrollFocused(0, speed * this.options.stickScrollSpeed * deltaTime / 1000, this.getPlayerForGamepad(gp) || this);
+        }
+
+        // Scroll without a pointer position: the top modal, or else the cursor's focused control
+        scrollFocused(deltaX, deltaY, cursor = this) {
+            if (this.modals.length > 0) {
+                return this.modals[this.modals.length - 1].handleScroll(deltaX, deltaY);
+            }
+            const control = this.getFocusedControl(cursor);
+            return control && control.handleScroll ? control.handleScroll(deltaX, deltaY) : false;
+        }
+
+        // Forget a gamepad's button state so it starts fresh if it reconnects
+        handleGamepadDisconnected(gamepad) {
+            delete this.gamepadStates[gamepad.index];
+            for (let id of Object.keys(this.repeatTimers)) {
+                if (id.startsWith(`pad${gamepad.index}:`)) {
+                    delete this.repeatTimers[id];
+                }
+            }
+            if (this.onGamepadDisconnected) {
+                this.onGamepadDisconnected(gamepad);
+            }
+        }
+
+        // Direction the axes bound to 'moveX' and 'moveY' (the left stick) are pushed
+        // towards, or null inside the deadzone
+        getStickDirection(gp) {
+            const x = this.input.getGamepadAxisValue(gp, 'moveX');
+            const y = this.input.getGamepadAxisValue(gp, 'moveY');
+            if (Math.hypot(x, y) < this.options.stickDeadzone) return null;
+
+            // Use the dominant axis so diagonals don't flicker between directions
+            if (Math.abs(x) > Math.abs(y)) {
+                return x < 0 ? 'left' : 'right';
+            }
+            return y < 0 ? 'up' : 'down';
+        }
+
+        // Fire a direction when the stick is pushed into it, and repeat it while held.
+        // The stick is not an input a rebind can capture, so it is ignored meanwhile.
+        updateStickDirection(gp, state, deltaTime) {
+            const direction = this.getStickDirection(gp);
+            const repeatId = `pad${gp.index}:stick`;
+            const rebinding = this.pendingRebind && this.pendingRebind.source !== 'keyboard';
+
+            if (direction && direction !== state.stickDirection) {
+                this.repeatTimers[repeatId] = this.options.repeatDelay;
+                if (!rebinding) {
+                    this.handleGamepadAction(direction, gp);
+                }
+            } else if (direction && !rebinding && this.stepRepeat(repeatId, deltaTime)) {
+                this.handleGamepadAction(direction, gp);
+            }
+            state.stickDirection = direction;
+        }
+
+        handleGamepadButton(buttonIndex, gamepad) {
+            const action = this.input.getGamepadAction(gamepad, buttonIndex);
+            if (action) {
+                this.handleGamepadAction(action, gamepad);
+            }
+        }
+
+        handleGamepadAction(action, gamepad) {
+            if (this.transition) return;
+
+            // A pad assigned to a player drives that player's cursor instead of the shared focus
+            const player = this.getPlayerForGamepad(gamepad);
+            this.activePlayer = player;
+            try {
+                this.withInputSource({ source: 'gamepad', gamepadIndex: gamepad.index },
+                    () => this.dispatchGamepadAction(action, player));
+            } finally {
+                this.activePlayer = null;
+            }
+        }
+
+        dispatchGamepadAction(action, player) {
+            if (this.handleToastAction(action)) return;
+
+            // Every pad drives an open modal through the shared focus
+            if (this.modals.length > 0) {
+                player = null;
+            }
+
+            const cursor = player || this;
+            const control = this.getFocusedControl(cursor);
+            if (player && this.onPlayerAction && this.onPlayerAction(player, action, control)) return;
+
+            // With linear navigation the D-pad's up/down always moves between controls
+            const movesFocus = !this.usesSpatialNavigation() && (action === 'up' || action === 'down');
+            if (control && !control.disabled && !movesFocus && control.handleAction(action)) return;
+
+            this.handleNavigationAction(action, 'gamepad', cursor);
+        }
+
+        // Add a player with their own focus cursor. Options: color, label (drawn next to
+        // the cursor) and gamepad (the Gamepad.index that controls it).
+        addPlayer(id, options = {}) {
+            this.removePlayer(id);
+            const player = {
+                id,
+                color: options.color || PLAYER_COLORS[this.players.length % PLAYER_COLORS.length],
+                label: options.label !== undefined ? options.label : `P${this.players.length + 1}`,
+                gamepadIndex: options.gamepad !== undefined ? options.gamepad : null,
+                focusIndex: -1
+            };
+            this.players.push(player);
+            this.focusStep(1, player);
+            return player;
+        }
+
+        removePlayer(id) {
+            const index = this.players.findIndex(player => player.id === id);
+            if (index > -1) {
+                this.players.splice(index, 1);
+            }
+        }
+
+        getPlayer(id) {
+            return this.players.find(player => player.id === id) || null;
+        }
+
+        // Give a gamepad to a player, taking it from whoever had it before
+        assignGamepad(gamepadIndex, playerId) {
+            for (let player of this.players) {
+                if (player.gamepadIndex === gamepadIndex) {
+                    player.gamepadIndex = null;
+                }
+            }
+            const player = this.getPlayer(playerId);
+            if (player) {
+                player.gamepadIndex = gamepadIndex;
+            }
+            return player;
+        }
+
+        getPlayerForGamepad(gamepad) {
+            return this.players.find(player => player.gamepadIndex === gamepad.index) || null;
+        }
+
+        // Players whose cursor is on a control, e.g. to see who picked a character
+        getPlayersOnControl(control) {
+            const index = this.controls.indexOf(control);
+            return this.players.filter(player => index > -1 && player.focusIndex === index);
+        }
+
+        focusNext(cursor = this) {
+            this.focusStep(1, cursor);
+        }
+
+        focusPrevious(cursor = this) {
+            this.focusStep(-1, cursor);
+        }
+
+        // Move focus through controls in insertion order, skipping ones that can't take focus
+        focusStep(step, cursor = this) {
+            const count = this.controls.length;
+            if (count === 0) return;
+
+            let index = cursor.focusIndex;
+            if (index === -1 && step < 0) {
+                index = count;
+            }
+            for (let i = 0; i < count; i++) {
+                index = (index + step + count) % count;
+                if (this.controls[index].focusable) {
+                    cursor.focusIndex = index;
+                    return;
+                }
+            }
+        }
+
+        // Focus the nearest control in a direction ('up', 'down', 'left' or 'right'),
+        // honoring navUp/navDown/navLeft/navRight overrides (a control or its id) on the focused control
+        focusDirection(direction, cursor = this) {
+            const current = this.getFocusedControl(cursor);
+            if (!current) {
+                this.focusStep(1, cursor);
+                return;
+            }
+
+            let override = current[DIRECTION_OVERRIDES[direction]];
+            if (override === false || override === 'none') return;
+            // Definitions loaded from JSON name the target by id
+            if (typeof override === 'string') {
+                override = this.getControlById(override);
+            }
+            if (override instanceof Control) {
+                const index = this.controls.indexOf(override);
+                if (index !== -1 && override.focusable) {
+                    cursor.focusIndex = index;
+                }
+                return;
+            }
+
+            const target = this.findControlInDirection(current, direction) ||
+                (this.options.navigationWrap ? this.findWrapTarget(current, direction) : null);
+            if (target) {
+                cursor.focusIndex = this.controls.indexOf(target);
+            }
+        }
+
+        findControlInDirection(from, direction) {
+            const horizontal = direction === 'left' || direction === 'right';
+            const sign = direction === 'right' || direction === 'down' ? 1 : -1;
+            const a = getBounds(from);
+            let best = null;
+            let bestScore = Infinity;
+
+            for (let control of this.controls) {
+                if (control === from || !control.focusable) continue;
+                const b = getBounds(control);
+
+                // Must lie beyond the current control's center in the pressed direction
+                const centerDelta = horizontal ? b.centerX - a.centerX : b.centerY - a.centerY;
+                if (centerDelta * sign <= 0) continue;
+
+                // Gap between the facing edges, and how far apart they are sideways
+                const gap = horizontal
+                    ? (sign > 0 ? b.left - a.right : a.left - b.right)
+                    : (sign > 0 ? b.top - a.bottom : a.top - b.bottom);
+                const offAxis = horizontal
+                    ? rangeDistance(a.top, a.bottom, b.top, b.bottom)
+                    : rangeDistance(a.left, a.right, b.left, b.right);
+                const centerOffset = horizontal ? Math.abs(b.centerY - a.centerY) : Math.abs(b.centerX - a.centerX);
+
+                // Controls in the same row/column win over diagonal ones
+                const score = Math.max(0, gap) + offAxis * 2 + centerOffset * 0.1;
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = control;
+                }
+            }
+            return best;
+        }
+
+        // With nothing in a direction, the farthest control on the opposite side in the same row/column
+        findWrapTarget(from, direction) {
+            const horizontal = direction === 'left' || direction === 'right';
+            const sign = direction === 'right' || direction === 'down' ? 1 : -1;
+            const a = getBounds(from);
+            let best = null;
+            let bestScore = Infinity;
+
+            for (let control of this.controls) {
+                if (control === from || !control.focusable) continue;
+                const b = getBounds(control);
+                const offAxis = horizontal
+                    ? rangeDistance(a.top, a.bottom, b.top, b.bottom)
+                    : rangeDistance(a.left, a.right, b.left, b.right);
+                const position = (horizontal ? b.centerX : b.centerY) * sign;
+
+                const score = offAxis * 10000 + position;
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = control;
+                }
+            }
+            return best;
+        }
+
+        addControl(control) {
+            // While a modal is open the current screen keeps the control until it is live again
+            if (this.modals.length > 0) {
+                return this.getCurrentScreen().addControl(control);
+            }
+            this.insertControls(this.controls.length, flattenControls(control));
+            return control;
+        }
+
+        // Insert controls into the live list (the current screen's, or the top modal's), keeping every cursor on its control
+        insertControls(index, controls) {
+            this.controls.splice(index, 0, ...controls);
+            for (let control of controls) {
+                control.manager = this;
+                control.applyTheme(this.theme);
+                control.localizeText(this);
+                if (control.anchor && !control.parent) {
+                    applyAnchor(control, this.viewport);
+                }
+            }
+            this.mirrorLayouts(controls);
+            for (let cursor of [this, ...this.players]) {
+                if (cursor.focusIndex >= index) {
+                    cursor.focusIndex += controls.length;
+                } else if (cursor.focusIndex === -1) {
+                    const first = controls.findIndex(control => control.focusable);
+                    if (first > -1) {
+                        cursor.focusIndex = index + first;
+                    }
+                }
+            }
+        }
+
+        // Remove a control; a container's children go with it. Removing a child
+        // takes it out of its container too.
+        removeControl(control) {
+            if (control.parent) {
+                control.parent.removeChild(control);
+                return;
+            }
+            const screen = this.getScreenOf(control);
+            if (screen && !screen.isActive()) {
+                screen.removeControl(control);
+                return;
+            }
+            for (let removed of flattenControls(control)) {
+                this.removeFromList(removed);
+            }
+        }
+
+        removeFromList(control) {
+            const index = this.controls.indexOf(control);
+            if (index > -1) {
+                this.controls.splice(index, 1);
+                if (this.hoveredControl === control) {
+                    this.setHoveredControl(null);
+                }
+                if (this.capturedControl === control) {
+                    this.capturedControl = null;
+                }
+
+                // Keep every cursor on the same control when ones before it are removed
+                for (let cursor of [this, ...this.players]) {
+                    if (cursor.focusIndex > index) {
+                        cursor.focusIndex--;
+                    }
+                    if (cursor.focusIndex >= this.controls.length) {
+                        cursor.focusIndex = this.controls.length - 1;
+                    }
+                }
+            }
+        }
+
+        addText(text, x, y, options = {}) {
+            const textObj = createText(text, x, y, options);
+            this.texts.push(textObj);
+            this.localizeFields(textObj, ['text']);
+            if (textObj.anchor) {
+                applyAnchor(textObj, this.viewport);
+            }
+            return textObj;
+        }
+
+        addImage(image, x, y, width, height, options = {}) {
+            const imageObj = createImage(image, x, y, width, height, options);
+            this.images.push(imageObj);
+            if (imageObj.anchor) {
+                applyAnchor(imageObj, this.viewport);
+            }
+            return imageObj;
+        }
+
+        // Register a screen so it can be pushed by name
+        addScreen(screen) {
+            screen.manager = this;
+            for (let control of screen.controls) {
+                control.manager = this;
+                control.applyTheme(this.theme);
+                control.localizeText(this);
+            }
+            for (let text of screen.texts) {
+                this.localizeFields(text, ['text']);
+            }
+            this.mirrorLayouts(screen.controls);
+            this.screens[screen.name] = screen;
+            this.layoutAnchors(screen);
+            return screen;
+        }
+
+        getScreen(name) {
+            return this.screens[name] || null;
+        }
+
+        // Find a control by its id option, looking in open modals and the current screen first
+        getControlById(id) {
+            const screens = new Set([...this.getModalScreens(), this.getCurrentScreen(), this.rootScreen,
+                ...this.screenStack, ...Object.values(this.screens)]);
+            for (let screen of screens) {
+                const control = screen.controls.find(control => control.id === id);
+                if (control) return control;
+            }
+            return null;
+        }
+
+        // Make functions available to loaded definitions by name
+        registerCallbacks(callbacks) {
+            Object.assign(this.callbacks, callbacks);
+        }
+
+        // Build screens from a definition (an object or JSON string): either one screen
+        // ({ name, controls, texts, images, ... }) or { screens: [...] }. A screen named
+        // 'root', or with no name, loads into the root screen. Callback names are looked
+        // up in callbacks, then in the registered ones. Returns the screens.
+        load(definition, callbacks = {}) {
+            if (typeof definition === 'string') {
+                definition = JSON.parse(definition);
+            }
+            const screens = definition.screens || [definition];
+            return screens.map(screen => this.loadScreen(screen, callbacks));
+        }
+
+        loadScreen(definition, callbacks = {}) {
+            const lookup = { ...this.callbacks, ...callbacks };
+            const name = definition.name || 'root';
+            const screen = name === 'root' ? this.rootScreen :
+                (this.screens[name] || this.addScreen(new Screen(name)));
+
+            if (definition.transition !== undefined) {
+                screen.transition = normalizeTransition(definition.transition);
+            }
+            for (let hook of ['onEnter', 'onExit', 'onBack']) {
+                if (definition[hook]) {
+                    screen[hook] = resolveCallback(definition[hook], lookup);
+                    screen.bindings[hook] = definition[hook];
+                }
+            }
+
+            for (let control of definition.controls || []) {
+                screen.addControl(createControl(control, lookup));
+            }
+            for (let text of definition.texts || []) {
+                screen.addText(toLocalized(text.text), text.x, text.y, text);
+            }
+            for (let image of definition.images || []) {
+                const element = new Image();
+                element.src = image.src;
+                screen.addImage(element, image.x, image.y, image.width, image.height, image);
+            }
+            return screen;
+        }
+
+        // Export the root and registered screens in the format load() reads. Callbacks
+        // are saved by the names they were loaded with; others are left out.
+        save() {
+            const screens = [this.rootScreen, ...Object.values(this.screens)];
+            return { screens: screens.map(screen => saveScreen(screen)) };
+        }
+
+        // Screen whose control list holds a control (a modal's own screen for modal
+        // controls), or null
+        getScreenOf(control) {
+            const screens = [...this.getModalScreens(), this.rootScreen, ...this.screenStack, ...Object.values(this.screens)];
+            return screens.find(screen => screen.controls.includes(control)) || null;
+        }
+
+        // Screens holding the controls of open modals, topmost first
+        getModalScreens() {
+            return this.modals.map(modal => modal.content).reverse();
+        }
+
+        // Screen whose controls are live: the top modal's while one is open, else the current screen
+        getLiveScreen() {
+            return this.modals.length > 0 ? this.modals[this.modals.length - 1].content : this.getCurrentScreen();
+        }
+
+        // Focus index to draw for a screen: the live focus if its controls are live,
+        // otherwise the focus it remembered
+        getFocusIndexOf(screen) {
+            return screen.controls === this.controls ? this.focusIndex : screen.focusIndex;
+        }
+
+        // Remember the live focus in a screen whose controls are about to stop being live
+        storeFocus(screen) {
+            screen.focusIndex = this.focusIndex;
+            for (let player of this.players) {
+                screen.playerFocus[player.id] = player.focusIndex;
+            }
+        }
+
+        // Make a screen's controls the live ones, restoring the focus it remembered
+        activateControls(screen) {
+            this.controls = screen.controls;
+            this.focusIndex = screen.focusIndex;
+            for (let player of this.players) {
+                const saved = screen.playerFocus[player.id];
+                player.focusIndex = saved !== undefined ? saved : -1;
+                if (saved === undefined) {
+                    this.focusStep(1, player);
+                }
+            }
+            this.setHoveredControl(null);
+            this.pressedControl = null;
+            this.capturedControl = null;
+        }
+
+        getCurrentScreen() {
+            return this.screenStack[this.screenStack.length - 1];
+        }
+
+        // Show a screen on top of the current one, which keeps its focus for when it returns.
+        // Options: transition ('fade', 'slide', 'none' or { type, duration, direction })
+        // and data passed to the screen's onEnter. Resolves when the transition ends.
+        pushScreen(screen, options = {}) {
+            screen = this.resolveScreen(screen);
+            const from = this.getCurrentScreen();
+            this.screenStack.push(screen);
+            return this.switchScreen(from, screen, options, false);
+        }
+
+        // Return to the screen below. options.data is passed to its onEnter, e.g. a result.
+        popScreen(options = {}) {
+            if (this.screenStack.length <= 1) return Promise.resolve();
+            const from = this.screenStack.pop();
+            return this.switchScreen(from, this.getCurrentScreen(), options, true);
+        }
+
+        // Swap the current screen for another without growing the stack
+        replaceScreen(screen, options = {}) {
+            screen = this.resolveScreen(screen);
+            const from = this.getCurrentScreen();
+            this.screenStack[this.screenStack.length - 1] = screen;
+            return this.switchScreen(from, screen, options, false);
+        }
+
+        resolveScreen(screen) {
+            if (typeof screen === 'string') {
+                const named = this.screens[screen];
+                if (!named) {
+                    throw new Error(`Unknown screen: ${screen}`);
+                }
+                return named;
+            }
+            if (screen.manager !== this) {
+                this.addScreen(screen);
+            }
+            return screen;
+        }
+
+        switchScreen(from, to, options, back) {
+            this.finishTransition();
+
+            // Leave the old screen with its focus saved. Under an open modal the screens
+            // already hold their focus, and the new one goes live when the modal closes.
+            const live = this.modals.length === 0;
+            if (live) {
+                this.storeFocus(from);
+            }
+            if (from.onExit) {
+                from.onExit(from);
+            }
+
+            // Make the new screen's lists the live ones
+            this.texts = to.texts;
+            this.images = to.images;
+            if (live) {
+                this.activateControls(to);
+            }
+            if (to.onEnter) {
+                to.onEnter(to, options.data);
+            }
+
+            // Going back plays the leaving screen's transition in reverse
+            const transition = {
+                type: 'none',
+                duration: 0,
+                ...normalizeTransition(this.options.screenTransition),
+                ...(back ? from.transition : to.transition),
+                ...normalizeTransition(options.transition)
+            };
+            if (transition.type === 'none' || !(transition.duration > 0)) {
+                return Promise.resolve();
+            }
+            return new Promise(resolve => {
+                this.transition = { ...transition, from, to, back, elapsed: 0, resolve };
+            });
+        }
+
+        finishTransition() {
+            if (this.transition) {
+                const resolve = this.transition.resolve;
+                this.transition = null;
+                resolve();
+            }
+        }
+
+        updateTransition(deltaTime) {
+            if (!this.transition) return;
+            this.transition.elapsed += deltaTime;
+            if (this.transition.elapsed >= this.transition.duration) {
+                this.finishTransition();
+            }
+        }
+
+        // Switch theme at runtime; every control on every screen and in open modals
+        // restyles, and toasts pick it up on their next draw. Takes a partial theme (see createTheme).
+        setTheme(theme) {
+            this.theme = createTheme(theme);
+            for (let screen of new Set([this.rootScreen, ...this.screenStack, ...Object.values(this.screens)])) {
+                for (let control of screen.controls) {
+                    control.applyTheme(this.theme);
+                }
+            }
+            for (let modal of [...this.closingModals, ...this.modals]) {
+                modal.applyTheme(this.theme);
+            }
+        }
+
+        // Register an image (or canvas) for [icon=name] in rich text. Icons are sized to
+        // the text around them, keeping their aspect ratio.
+        registerIcon(name, image) {
+            this.icons[name] = image;
+        }
+
+        // Add a texture atlas: an image (or canvas) and a description of its regions (see
+        // parseAtlas). Regions are named for skins; returns them as sprites by name.
+        addAtlas(image, description) {
+            const sprites = parseAtlas(image, description);
+            Object.assign(this.sprites, sprites);
+            return sprites;
+        }
+
+        // Add a bitmap font: its page images (or canvases) in page id order and a BMFont
+        // description, as .fnt text or JSON. Any font string naming the family then draws
+        // with it: font: '16px PixelFont'. Options: integerScale, tint (see BitmapFont).
+        addBitmapFont(family, pages, description, options = {}) {
+            const font = new BitmapFont(pages, description, options);
+            this.bitmapFonts[family] = font;
+            // Toasts measured before the font was added are measured again
+            for (let toast of this.toasts) {
+                toast.measured = null;
+            }
+            return font;
+        }
+
+        // Add strings for a locale, merged over any already added. Values are strings with
+        // {name} placeholders, or plural forms by Intl.PluralRules category:
+        // { lives: { one: '{count} life', other: '{count} lives' } }. Tables may nest;
+        // keys then join with dots ('menu.play').
+        addStrings(locale, strings) {
+            this.stringTables[locale] = { ...this.stringTables[locale], ...strings };
+            if (locale === this.locale) {
+                this.localizeAll();
+            }
+        }
+
+        // Switch language, updating every control, text, modal and toast at once. The text
+        // direction follows the locale ('ar', 'he', ... are right to left) unless given.
+        setLocale(locale, direction = null) {
+            this.locale = locale;
+            this.direction = direction || this.options.direction || getLocaleDirection(locale);
+            this.localizeAll();
+            this.emit('localechange', { locale, direction: this.direction });
+        }
+
+        // Text for a key in the current locale, then its base language ('pt' for 'pt-BR'),
+        // then the fallback locale; the key itself when none has it
+        translate(key, params = {}) {
+            const locales = [this.locale, String(this.locale).split(/[-_]/)[0], this.options.fallbackLocale];
+            let entry;
+            let entryLocale = this.locale;
+            for (let locale of locales) {
+                entry = lookupString(this.stringTables[locale], key);
+                if (entry !== undefined) {
+                    entryLocale = locale;
+                    break;
+                }
+            }
+            if (entry === undefined) return key;
+
+            // Plural forms pick by count; a locale Intl rejects always uses 'other'
+            const rules = this.getPluralRules(entryLocale);
+            if (typeof entry === 'object') {
+                const count = typeof params.count === 'number' ? params.count : 0;
+                const category = rules ? rules.select(count) : 'other';
+                entry = entry[category] !== undefined ? entry[category] : entry.other;
+            }
+
+            return String(entry).replace(/\{(\w+)\}/g, (match, name) => {
+                const value = params[name];
+                if (value === undefined) return match;
+                if (typeof value !== 'number') return this.resolveText(value);
+                return rules ? value.toLocaleString(entryLocale) : value.toLocaleString();
+            });
+        }
+
+        // Intl.PluralRules for a locale, created once; null when the locale tag is invalid
+        getPluralRules(locale) {
+            if (!(locale in this.pluralRules)) {
+                try {
+                    this.pluralRules[locale] = new Intl.PluralRules(locale);
+                } catch (e) {
+                    this.pluralRules[locale] = null;
+                }
+            }
+            return this.pluralRules[locale];
+        }
+
+        // A LocalizedString's text; anything else as it is
+        resolveText(value) {
+            return value instanceof LocalizedString ? this.translate(value.key, value.params) : value;
+        }
+
+        // Resolve localized strings in an object's fields, remembering their source so the
+        // text can change with the locale. A field set to plain text since is left alone.
+        localizeFields(owner, fields) {
+            let sources = localizedSources.get(owner);
+            for (let field of fields) {
+                const value = owner[field];
+                if (value instanceof LocalizedString) {
+                    if (!sources) {
+                        sources = {};
+                        localizedSources.set(owner, sources);
+                    }
+                    sources[field] = { source: value, text: null };
+                } else if (!sources || !sources[field]) {
+                    continue;
+                } else if (sources[field].text !== value) {
+                    delete sources[field];
+                    continue;
+                }
+                owner[field] = sources[field].text = this.translate(sources[field].source.key, sources[field].source.params);
+            }
+        }
+
+        // Resolve every localized string again, e.g. after a locale change, and lay out
+        // whatever the new text or direction moves
+        localizeAll() {
+            for (let screen of new Set([this.rootScreen, ...this.screenStack, ...Object.values(this.screens)])) {
+                for (let text of screen.texts) {
+                    this.localizeFields(text, ['text']);
+                }
+                for (let control of screen.controls) {
+                    control.localizeText(this);
+                }
+                for (let control of screen.controls) {
+                    if (control.children) {
+                        control.layout();
+                    }
+                }
+            }
+            for (let modal of [...this.closingModals, ...this.modals]) {
+                modal.localizeText();
+            }
+            for (let toast of [...this.toasts, ...this.toastQueue]) {
+                toast.localizeText();
+            }
+            this.layoutToasts();
+        }
+
+        // Lay containers out again for right-to-left rows; they were laid out before they
+        // knew the direction
+        mirrorLayouts(controls) {
+            if (this.direction !== 'rtl') return;
+            for (let control of controls) {
+                if (control.children) {
+                    control.layout();
+                }
+            }
+        }
+
+        setBackground(color) {
+            this.options.backgroundColor = color;
+            this.options.backgroundGradient = null;
+        }
+
+        setBackgroundGradient(gradient) {
+            this.options.backgroundGradient = gradient;
+        }
+
+        // Animate properties of any object (see Tween). Options: duration (ms), delay,
+        // easing (a name from Easing or a function), onUpdate, onComplete. A new tween
+        // takes over the properties it animates from older tweens on the same target.
+        tween(target, props, options = {}) {
+            for (let other of this.tweens) {
+                if (other.target !== target) continue;
+                for (let key of Object.keys(props)) {
+                    delete other.to[key];
+                }
+                if (Object.keys(other.to).length === 0) {
+                    other.stop();
+                }
+            }
+
+            const tween = new Tween(target, props, options);
+            this.tweens.push(tween);
+            return tween;
+        }
+
+        // Stop every tween on a target, leaving its properties where they are
+        stopTweens(target) {
+            for (let tween of this.tweens) {
+                if (tween.target === target) {
+                    tween.stop();
+                }
+            }
+        }
+
+        // Run steps one after another. Each step is a function returning a tween or
+        // promise, or an array of them to run together. Resolves when the last one ends.
+        async sequence(...steps) {
+            for (let step of steps) {
+                const result = step();
+                await (Array.isArray(result) ? Promise.all(result) : result);
+            }
+        }
+
+        updateTweens(deltaTime) {
+            for (let tween of this.tweens.slice()) {
+                if (tween.update(deltaTime)) {
+                    this.tweens.splice(this.tweens.indexOf(tween), 1);
+                }
+            }
+        }
+
+        // Open a modal over everything. buttons: [{ label, callback(modal), role }]; a callback
+        // returning false keeps the modal open. Role 'cancel' marks the button Escape / B
+        // presses, 'default' the one that starts focused and that Enter presses when no
+        // control uses it. Options: content (controls stacked under the message), width,
+        // height, buttonWidth, buttonHeight, style, animate and onClose.
+        showModal(title, message, buttons = [], options = {}) {
+            const modal = new Modal(this, title, message, buttons, options);
+
+            // The modal's controls go live; the focus below waits for it to close
+            this.storeFocus(this.getLiveScreen());
+            this.modals.push(modal);
+            this.activateControls(modal.content);
+
+            // Fade and grow in
+            if (this.options.animations && options.animate !== false) {
+                modal.alpha = 0;
+                modal.scale = 0.9;
+                this.tween(modal, { alpha: 1 }, { duration: 150 });
+                this.tween(modal, { scale: 1 }, { duration: 200, easing: 'easeOutBack' });
+            }
+
+            this.emit('modalopen', { modal });
+            return modal;
+        }
+
+        // Close a modal. It stops taking input at once; the returned promise resolves
+        // when its close animation has finished.
+        closeModal(modal) {
+            const index = this.modals.indexOf(modal);
+            if (index === -1) return Promise.resolve();
+            // Listeners can keep the modal open
+            if (this.emit('modalclose', { modal }).defaultPrevented) return Promise.resolve();
+            const wasLive = index === this.modals.length - 1;
+            this.modals.splice(index, 1);
+
+            // Hand input back to the modal or screen below
+            if (wasLive) {
+                this.storeFocus(modal.content);
+                this.activateControls(this.getLiveScreen());
+            }
+            if (modal.onClose) {
+                modal.onClose(modal);
+            }
+
+            if (!this.options.animations || modal.alpha === 0) return Promise.resolve();
+            this.closingModals.push(modal);
+            this.tween(modal, { scale: 0.95 }, { duration: 150, easing: 'easeInQuad' });
+            return this.tween(modal, { alpha: 0 }, { duration: 150, easing: 'easeInQuad' }).then(() => {
+                this.closingModals.splice(this.closingModals.indexOf(modal), 1);
+            });
+        }
+
+        // Open a modal whose buttons settle a promise: each button's value (a function is
+        // called with the modal) or cancelValue when it is closed any other way.
+        // An onClose option is called with (result, modal) before the promise resolves.
+        openDialog(title, message, buttons, cancelValue, options = {}) {
+            return new Promise(resolve => {
+                let result = cancelValue;
+                this.showModal(title, message, buttons.map(button => ({
+                    ...button,
+                    callback: (modal) => {
+                        if (button.callback && button.callback(modal) === false) return false;
+                        result = typeof button.value === 'function' ? button.value(modal) : button.value;
+                    }
+                })), { ...options, onClose: (modal) => {
+                    if (options.onClose) {
+                        options.onClose(result, modal);
+                    }
+                    resolve(result);
+                } });
+            });
+        }
+
+        // Show a message with an OK button. Resolves when it is closed.
+        // Options: okLabel, plus any showModal options.
+        alert(title, message, options = {}) {
+            return this.openDialog(title, message, [
+                { label: options.okLabel || 'OK', role: 'default' }
+            ], undefined, options);
+        }
+
+        // Ask a yes/no question. Resolves to true, or false when cancelled.
+        // Options: okLabel, cancelLabel, plus any showModal options.
+        confirm(title, message, options = {}) {
+            return this.openDialog(title, message, [
+                { label: options.okLabel || 'OK', role: 'default', value: true },
+                { label: options.cancelLabel || 'Cancel', role: 'cancel', value: false }
+            ], false, options);
+        }
+
+        // Ask for a line of text. Resolves to the text, or null when cancelled.
+        // Options: defaultValue, placeholder, input (TextInput options), okLabel,
+        // cancelLabel, plus any showModal options.
+        prompt(title, message, options = {}) {
+            const input = new TextInput(0, 0, 0, 40, options.placeholder || '', {
+                ...options.input,
+                // Enter in the field presses OK (TextInput only submits valid input)
+                onSubmit: () => {
+                    const modal = this.modals.find(modal => modal.controls.includes(input));
+                    if (modal) {
+                        modal.submit();
+                    }
+                }
+            });
+            if (options.defaultValue !== undefined) {
+                input.setValue(options.defaultValue);
+            }
+
+            return this.openDialog(title, message, [
+                {
+                    label: options.okLabel || 'OK',
+                    role: 'default',
+                    // A button press skips the Enter key's validation, so check here too
+                    value: () => input.value,
+                    callback: () => input.validate()
+                },
+                { label: options.cancelLabel || 'Cancel', role: 'cancel', value: null }
+            ], null, { ...options, content: [input, ...[].concat(options.content || [])] });
+        }
+
+        // Offer a list of choices, strings or { label, value }, stacked as buttons.
+        // Resolves to the value (or label) picked, or null when cancelled.
+        // Options: cancelLabel, choiceHeight, plus any showModal options.
+        choose(title, message, choices, options = {}) {
+            return new Promise(resolve => {
+                let result = null;
+                let modal = null;
+                const buttons = choices.map(choice => {
+                    // A localize() choice stands for its key
+                    const { label, value } = typeof choice === 'object' && !(choice instanceof LocalizedString) ? choice
+                        : { label: choice, value: choice instanceof LocalizedString ? choice.key : choice };
+                    return new Button(0, 0, 0, options.choiceHeight || 44, label, () => {
+                        result = value !== undefined ? value : label;
+                        modal.close();
+                    });
+                });
+                modal = this.showModal(title, message, [
+                    { label: options.cancelLabel || 'Cancel', role: 'cancel' }
+                ], { ...options, content: buttons, onClose: (modal) => {
+                    if (options.onClose) {
+                        options.onClose(result, modal);
+                    }
+                    resolve(result);
+                } });
+            });
+        }
+
+        // Show a toast, or queue it while maxToasts are on screen. Duration is in ms of
+        // update time, so toasts wait while the UI is stopped; 0 keeps the toast until it
+        // is dismissed. Options: icon, color, actions ([{ label, callback }]), dismissible,
+        // width and onDismiss. The type, duration and options can also be passed as one
+        // object: showToast('Saved', { type: 'success', actions: [...] }).
+        showToast(message, type = 'info', duration = 3000, options = {}) {
+            if (typeof type === 'object') {
+                options = type;
+                type = options.type || 'info';
+                duration = options.duration !== undefined ? options.duration : 3000;
+            }
+
+            const toast = new Toast(this, message, type, duration, options);
+            if (this.emit('toast', { toast }).defaultPrevented) return toast; // A listener showed it its own way
+
+            if (this.getVisibleToastCount() < this.options.maxToasts) {
+                this.presentToast(toast);
+            } else {
+                this.toastQueue.push(toast);
+            }
+            return toast;
+        }
+
+        // Slide a toast out and remove it, or drop it from the queue if not yet shown
+        hideToast(toast) {
+            const queued = this.toastQueue.indexOf(toast);
+            if (queued > -1) {
+                this.toastQueue.splice(queued, 1);
+                return Promise.resolve();
+            }
+            if (!this.toasts.includes(toast) || toast.hiding) return Promise.resolve();
+            toast.hiding = true;
+            if (toast === this.focusedToast) {
+                this.focusToast(null);
+            }
+
+            const remove = () => {
+                const index = this.toasts.indexOf(toast);
+                if (index > -1) {
+                    this.toasts.splice(index, 1);
+                }
+                if (toast.onDismiss) {
+                    toast.onDismiss(toast);
+                }
+            };
+            if (!this.options.animations) {
+                remove();
+                return Promise.resolve();
+            }
+            const slide = this.getToastSlide(toast);
+            return this.tween(toast, { alpha: 0, offsetX: slide.x, offsetY: slide.y },
+                { duration: 200, easing: 'easeInQuad' }).then(remove);
+        }
+
+        // Remove every toast, including queued ones
+        clearToasts() {
+            this.toastQueue = [];
+            return Promise.all([...this.toasts].map(toast => this.hideToast(toast)));
+        }
+
+        // Put a toast on screen, sliding in from the nearest edge
+        presentToast(toast) {
+            this.toasts.push(toast);
+            this.layoutToasts();
+            this.announce(toast.markup ? stripMarkup(toast.message) : toast.message, toast.type === 'error' ? 'assertive' : 'polite');
+
+            if (this.options.animations) {
+                const slide = this.getToastSlide(toast);
+                toast.alpha = 0;
+                toast.offsetX = slide.x;
+                toast.offsetY = slide.y;
+                this.tween(toast, { alpha: 1, offsetX: 0, offsetY: 0 }, { duration: 250, easing: 'easeOutCubic' });
+            }
+        }
+
+        // Toasts on screen that are not on their way out
+        getVisibleToastCount() {
+            return this.toasts.filter(toast => !toast.hiding).length;
+        }
+
+        getToastPosition() {
+            const position = TOAST_POSITIONS[this.options.toastPosition];
+            if (!position) {
+                throw new Error(`Unknown toast position: ${this.options.toastPosition}`);
+            }
+            return position;
+        }
+
+        // Offset a toast slides in from and out to: off the side it sits on, or off the
+        // top or bottom for centered toasts
+        getToastSlide(toast) {
+            const { vertical, horizontal } = this.getToastPosition();
+            const margin = this.options.toastMargin;
+            if (horizontal === 'left') return { x: -(toast.width + margin), y: 0 };
+            if (horizontal === 'right') return { x: toast.width + margin, y: 0 };
+            if (vertical === 'top') return { x: 0, y: -(toast.height + margin) };
+            if (vertical === 'bottom') return { x: 0, y: toast.height + margin };
+            return { x: 0, y: 0 };
+        }
+
+        // Keys and gamepads reach toast actions through the 'toasts' action: it focuses the
+        // newest toast with actions, then older ones, then returns to the UI. While a toast
+        // has focus, directions pick an action, confirm runs it and cancel leaves.
+        // Returns true when the action was used.
+        handleToastAction(action) {
+            const toast = this.focusedToast;
+            if (action === 'toasts') {
+                const toasts = this.toasts.filter(t => !t.hiding && t.actions.length > 0).reverse();
+                const next = toast ? toasts[toasts.indexOf(toast) + 1] : toasts[0];
+                this.focusToast(next || null);
+                return Boolean(next || toast);
+            }
+            if (!toast) return false;
+
+            const count = toast.actions.length;
+            const rtl = this.direction === 'rtl';
+            if (action === 'next' || action === (rtl ? 'left' : 'right')) {
+                this.focusToastAction((toast.focusedAction + 1) % count);
+            } else if (action === 'previous' || action === (rtl ? 'right' : 'left')) {
+                this.focusToastAction((toast.focusedAction - 1 + count) % count);
+            } else if (action === 'confirm') {
+                toast.runAction(toast.focusedAction);
+            } else if (action === 'cancel') {
+                this.focusToast(null);
+            } else if (!DIRECTIONS[action]) {
+                return false;
+            }
+            return true;
+        }
+
+        // Give a toast's first action focus (holding its timer), or none with null
+        focusToast(toast) {
+            if (this.focusedToast) {
+                this.focusedToast.focusedAction = -1;
+            }
+            this.focusedToast = toast;
+            if (toast) {
+                this.focusToastAction(0);
+            }
+        }
+
+        focusToastAction(index) {
+            const toast = this.focusedToast;
+            toast.focusedAction = index;
+            this.announce(this.resolveText(toast.actions[index].label));
+        }
+
+        // Topmost toast under a point, or null
+        getToastAt(x, y) {
+            for (let i = this.toasts.length - 1; i >= 0; i--) {
+                const toast = this.toasts[i];
+                if (!toast.hiding && toast.containsPoint(x, y)) {
+                    return toast;
+                }
+            }
+            return null;
+        }
+
+        updateToasts(deltaTime) {
+            // Fill free slots from the queue
+            while (this.toastQueue.length > 0 && this.getVisibleToastCount() < this.options.maxToasts) {
+                this.presentToast(this.toastQueue.shift());
+            }
+
+            for (let toast of [...this.toasts]) {
+                if (toast.update(deltaTime)) {
+                    this.hideToast(toast);
+                }
+            }
+
+            this.layoutToasts(deltaTime);
+        }
+
+        // Size each toast to its text and stack them from the configured position.
+        // Toasts glide into place when the ones before them go away.
+        layoutToasts(deltaTime = 0) {
+            const { vertical, horizontal } = this.getToastPosition();
+            const { toastMargin: margin, toastSpacing: spacing } = this.options;
+            const viewport = this.viewport;
+
+            let total = 0;
+            for (let toast of this.toasts) {
+                if (toast.needsMeasure()) {
+                    toast.measure(this.ctx);
+                }
+                total += toast.height + spacing;
+            }
+            total -= spacing;
+
+            let y = viewport.y + margin;
+            if (vertical === 'bottom') {
+                y = viewport.y + viewport.height - margin;
+            } else if (vertical === 'center') {
+                y = viewport.y + (viewport.height - total) / 2;
+            }
+
+            for (let toast of this.toasts) {
+                if (horizontal === 'left') {
+                    toast.x = viewport.x + margin;
+                } else if (horizontal === 'right') {
+                    toast.x = viewport.x + viewport.width - margin - toast.width;
+                } else {
+                    toast.x = viewport.x + (viewport.width - toast.width) / 2;
+                }
+
+                const targetY = vertical === 'bottom' ? y - toast.height : y;
+                if (!toast.placed || !this.options.animations) {
+                    toast.y = targetY;
+                    toast.placed = true;
+                } else {
+                    toast.y += (targetY - toast.y) * Math.min(1, deltaTime / 80);
+                }
+
+                y += vertical === 'bottom' ? -(toast.height + spacing) : toast.height + spacing;
+            }
+        }
+
+        update(deltaTime) {
+            // Advance animations
+            this.updateTweens(deltaTime);
+
+            // Follow canvas size changes made in code (virtual resolution uses resize events)
+            if (!this.options.virtualWidth &&
+                (this.canvas.width !== this.backingSize.width || this.canvas.height !== this.backingSize.height)) {
+                this.updateView();
+            }
+
+            // Advance the screen transition
+            this.updateTransition(deltaTime);
+
+            // Count down, queue and stack toasts
+            this.updateToasts(deltaTime);
+
+            // Update gamepad
+            this.updateGamepad(deltaTime);
+
+            // Repeat held arrow keys
+            this.updateKeyRepeat(deltaTime);
+
+            // Update press-and-hold timing
+            this.updatePointer(deltaTime);
+
+            // Follow keyboard focus changes with the hidden text input
+            this.syncTextInputElement();
+
+            // Announce focus moved from code
+            this.syncFocus();
+
+            // Keep the screen reader mirror in step
+            if (this.accessibility) {
+                this.accessibility.sync();
+            }
+
+            // Update controls
+            for (let control of this.getCurrentScreen().controls) {
+                if (control.update) {
+                    control.update(deltaTime);
+                }
+            }
+
+            // Update modals
+            for (let modal of this.modals) {
+                if (modal.update) {
+                    modal.update(deltaTime);
+                }
+            }
+        }
+
+        draw() {
+            const ctx = this.ctx;
+            const view = this.view;
+            const viewport = this.viewport;
+            const letterbox = this.options.virtualWidth && this.options.scaleMode === 'letterbox';
+
+            // Bars around the design area
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            if (letterbox) {
+                ctx.fillStyle = this.options.letterboxColor;
+                ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+            }
+
+            // Everything else is drawn in UI coordinates, with text in the locale's direction
+            ctx.setTransform(view.scaleX, 0, 0, view.scaleY, view.offsetX, view.offsetY);
+            ctx.direction = this.direction;
+            ctx.save();
+            if (letterbox) {
+                ctx.beginPath();
+                ctx.rect(viewport.x, viewport.y, viewport.width, viewport.height);
+                ctx.clip();
+            }
+
+            // Clear canvas with background
+            if (this.options.backgroundGradient) {
+                const gradient = this.ctx.createLinearGradient(
+                    viewport.x, viewport.y,
+                    viewport.x + viewport.width,
+                    viewport.y + viewport.height
+                );
+                for (let stop of this.options.backgroundGradient) {
+                    gradient.addColorStop(stop.offset, stop.color);
+                }
+                this.ctx.fillStyle = gradient;
+            } else {
+                this.ctx.fillStyle = this.options.backgroundColor || this.theme.palette.background;
+            }
+            this.ctx.fillRect(viewport.x, viewport.y, viewport.width, viewport.height);
+
+            // Draw the current screen, or both screens while switching
+            if (this.transition) {
+                this.drawTransition(this.ctx);
+            } else {
+                const screen = this.getCurrentScreen();
+                this.drawScreen(this.ctx, screen, this.getFocusIndexOf(screen));
+
+                // Draw player focus cursors
+                if (this.players.length > 0 && this.modals.length === 0) {
+                    this.drawPlayerCursors(this.ctx);
+                }
+            }
+
+            // Draw modals, with closing ones fading out underneath
+            for (let modal of [...this.closingModals, ...this.modals]) {
+                drawTransformed(ctx, modal, () => modal.draw(ctx));
+            }
+
+            // Draw toasts
+            for (let toast of this.toasts) {
+                drawTransformed(ctx, toast, () => toast.draw(ctx));
+            }
+
+            ctx.restore();
+        }
+
+        // Draw a control faded and scaled as its tweens have it, and dimmed while disabled
+        drawControl(ctx, control, isFocused) {
+            drawTransformed(ctx, control, () => {
+                const dim = control.disabled ? control.options.disabledAlpha : 1;
+                if (dim === 1) {
+                    control.draw(ctx, isFocused);
+                    return;
+                }
+                ctx.save();
+                ctx.globalAlpha *= dim;
+                control.draw(ctx, isFocused);
+                ctx.restore();
+            });
+        }
+
+        drawScreen(ctx, screen, focusIndex) {
+            // Draw panels first (background layer)
+            for (let i = 0; i < screen.controls.length; i++) {
+                const control = screen.controls[i];
+                if (control instanceof Panel) {
+                    this.drawControl(ctx, control, false); // Panels never get focus
+                }
+            }
+
+            // Draw images
+            for (let img of screen.images) {
+                if (img.image.complete) {
+                    ctx.drawImage(img.image, img.x, img.y, img.width, img.height);
+                }
+            }
+
+            // Draw texts
+            for (let text of screen.texts) {
+                ctx.font = text.font;
+                ctx.fillStyle = text.color;
+                ctx.textAlign = text.align;
+                ctx.textBaseline = text.baseline;
+                if (text.markup || text.textEffects || text.maxWidth) {
+                    getRichText(text, text.text, {
+                        font: text.font,
+                        color: text.color,
+                        markup: text.markup,
+                        effects: text.textEffects,
+                        lineHeight: text.lineHeight || 0,
+                        icons: this.icons
+                    }).layout(ctx, text.maxWidth || Infinity).draw(ctx, text.x, text.y, text.align, text.baseline);
+                } else {
+                    fillText(ctx, text.text, text.x, text.y);
+                }
+            }
+
+            // Draw other controls (interactive layer). Modals always show the shared focus.
+            const showFocus = this.players.length === 0 || this.options.showPrimaryFocus || this.modals.length > 0;
+            for (let i = 0; i < screen.controls.length; i++) {
+                const control = screen.controls[i];
+                if (!(control instanceof Panel)) {
+                    const isFocused = showFocus && i === focusIndex;
+                    this.drawControl(ctx, control, isFocused);
+                }
+            }
+        }
+
+        // Fade: the old screen fades out, then the new one fades in.
+        // Slide: both screens move together in transition.direction (reversed when going back).
+        drawTransition(ctx) {
+            const { from, to, type, duration, elapsed, back } = this.transition;
+            const t = Math.min(elapsed / duration, 1);
+            const eased = (Easing[this.transition.easing] || Easing.easeOutQuad)(t);
+
+            if (type === 'slide') {
+                const offsets = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] };
+                const [dx, dy] = offsets[this.transition.direction || 'left'];
+                const sign = back ? -1 : 1;
+                const shiftX = dx * sign * this.viewport.width;
+                const shiftY = dy * sign * this.viewport.height;
+
+                ctx.save();
+                ctx.translate(shiftX * eased, shiftY * eased);
+                this.drawScreen(ctx, from, from.focusIndex);
+                ctx.restore();
+
+                ctx.save();
+                ctx.translate(shiftX * (eased - 1), shiftY * (eased - 1));
+                this.drawScreen(ctx, to, this.getFocusIndexOf(to));
+                ctx.restore();
+                return;
+            }
+
+            ctx.save();
+            if (t < 0.5) {
+                ctx.globalAlpha = 1 - t * 2;
+                this.drawScreen(ctx, from, from.focusIndex);
+            } else {
+                ctx.globalAlpha = t * 2 - 1;
+                this.drawScreen(ctx, to, this.getFocusIndexOf(to));
+            }
+            ctx.restore();
+        }
+
+        // Each player's cursor is a ring in their color. Players sharing a control get
+        // rings stacked outwards so all of them stay visible.
+        drawPlayerCursors(ctx) {
+            const stacked = {};
+            for (let player of this.players) {
+                const control = this.getFocusedControl(player);
+                if (!control) continue;
+
+                const depth = stacked[player.focusIndex] || 0;
+                stacked[player.focusIndex] = depth + 1;
+                const inset = -3 - depth * 4;
+                const radius = Math.max((control.options.borderRadius || 0) - inset, 0);
+
+                ctx.strokeStyle = player.color;
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                drawRoundedRect(ctx, control.x + inset, control.y + inset,
+                    control.width - inset * 2, control.height - inset * 2, radius);
+                ctx.stroke();
+
+                if (player.label) {
+                    ctx.font = 'bold 12px Arial';
+                    ctx.fillStyle = player.color;
+                    ctx.textAlign = 'left';
+                    ctx.textBaseline = 'bottom';
+                    fillText(ctx, player.label, control.x + inset + depth * 24, control.y + inset - 2);
+                }
+            }
+        }
+
+        start() {
+            // The first frame after (re)starting has no elapsed time, so nothing
+            // catches up on the time spent stopped
+            this.lastFrameTime = null;
+            const loop = (timestamp) => {
+                const deltaTime = this.lastFrameTime === null ? 0 : timestamp - this.lastFrameTime;
+                this.lastFrameTime = timestamp;
+
+                this.update(deltaTime);
+                this.draw();
+
+                this.animationFrameId = requestAnimationFrame(loop);
+            };
+
+            this.animationFrameId = requestAnimationFrame(loop);
+        }
+
+        stop() {
+            if (this.animationFrameId) {
+                cancelAnimationFrame(this.animationFrameId);
+                this.animationFrameId = null;
+            }
+        }
+    }
+
+// Base Control class
+export class Control extends EventEmitter {
+        constructor(x, y, width, height, options = {}, defaults = {}) {
+            super();
+            this.x = x;
+            this.y = y;
+            this.width = width;
+            this.height = height;
+
+            // Styles come from the theme (see createTheme), then a subclass's defaults; options
+            // given here override both and are kept so they still win after a theme change
+            this.defaults = defaults;
+            this.styleOverrides = options;
+            this.options = {
+                ...getThemeOptions(DEFAULT_THEME, this, options.variant),
+                ...defaults,
+                ...options
+            };
+            this.id = options.id !== undefined ? options.id : null; // For getControlById
+            this.bindings = {};      // Callback names from a loaded definition, kept for saving
+            this.manager = null;
+            this.parent = null;      // Container holding this control, if any
+            this.layoutOptions = {}; // How the container sizes this control: { grow, align }
+            this.preferredSize = null; // Own size in a container, before its layout grew or stretched it
+            this.laidOutSize = null;
+            this.anchor = parseAnchor(options.anchor); // Keeps x, y relative to a viewport edge
+            this.anchorOffset = { x, y };
+            this.hovered = false;
+            this.focusable = true;
+            this.disabled = options.disabled || false; // Skipped by focus and input, and drawn dimmed or with its disabled skin
+            this.alpha = 1;  // Opacity, for fading with tweens
+            this.scale = 1;  // Drawn scale around the center (doesn't affect hit testing)
+
+            // Spatial navigation overrides: a Control to jump to, or false to block the direction
+            this.navUp = options.navUp;
+            this.navDown = options.navDown;
+            this.navLeft = options.navLeft;
+            this.navRight = options.navRight;
+        }
+
+        // Disabled controls can't take focus
+        get focusable() {
+            return this.canFocus && !this.disabled;
+        }
+
+        set focusable(value) {
+            this.canFocus = value;
+        }
+
+        // Whether arrow keys that run off this control's items should move focus instead of wrapping
+        usesSpatialNavigation() {
+            return this.manager !== null && this.manager.usesSpatialNavigation();
+        }
+
+        // Resolve localized strings in this control's text (see CanvasUIMark.setLocale)
+        localizeText(manager) {
+            manager.localizeFields(this, ['label', 'placeholder']);
+        }
+
+        // Whether the manager lays out and draws right to left
+        isRTL() {
+            return this.manager !== null && this.manager.direction === 'rtl';
+        }
+
+        // Mirror a span [x, x + width] across this control when drawing right to left
+        flipX(x, width = 0) {
+            return this.isRTL() ? this.x + this.width - (x - this.x) - width : x;
+        }
+
+        // Swap 'left' and 'right' alignment when drawing right to left
+        flipAlign(align) {
+            if (!this.isRTL()) return align;
+            return align === 'left' ? 'right' : (align === 'right' ? 'left' : align);
+        }
+
+        // Draw a label with the font, color, alignment and baseline already set on ctx.
+        // With the markup or textEffects option it is drawn as RichText.
+        drawLabel(ctx, text, x, y) {
+            if (!this.options.markup && !this.options.textEffects) {
+                fillText(ctx, text, x, y);
+                return;
+            }
+            getRichText(this, text, {
+                font: ctx.font,
+                color: ctx.fillStyle,
+                markup: !!this.options.markup,
+                effects: this.options.textEffects || null,
+                icons: this.manager ? this.manager.icons : {}
+            }).layout(ctx).draw(ctx, x, y, ctx.textAlign, ctx.textBaseline);
+        }
+
+        // Label text as screen readers get it, without markup
+        getPlainText(text) {
+            return this.options.markup ? stripMarkup(text) : text;
+        }
+
+        // How the accessibility mirror presents this control: role, label and the state
+        // fields its role needs (checked, value, items, ...). The ariaLabel option overrides
+        // the label.
+        getAccessibleInfo() {
+            return { role: null, label: this.options.ariaLabel || null };
+        }
+
+        // Fire an event on this control, then on the manager unless a listener stopped it.
+        // Returns the event so callers can check defaultPrevented.
+        emit(type, detail = {}) {
+            const event = this.manager
+                ? this.manager.createEvent(type, this, detail)
+                : new UIEvent(type, this, detail);
+            this.dispatchEvent(event);
+            if (this.manager && !event.propagationStopped) {
+                this.manager.dispatchEvent(event);
+            }
+            return event;
+        }
+
+        containsPoint(x, y) {
+            return x >= this.x && x <= this.x + this.width &&
+                   y >= this.y && y <= this.y + this.height;
+        }
+
+        // Restyle from a theme, keeping this control's own option overrides
+        applyTheme(theme) {
+            this.options = {
+                ...this.options,
+                ...getThemeOptions(theme, this, this.options.variant),
+                ...this.defaults,
+                ...this.styleOverrides
+            };
+        }
+
+        // Override style options for this control only; they survive theme changes
+        setStyle(style) {
+            this.styleOverrides = { ...this.styleOverrides, ...style };
+            Object.assign(this.options, style);
+        }
+
+        // Switch to another of the theme's named variants ('primary', 'danger', 'ghost', ...)
+        setVariant(variant) {
+            this.styleOverrides = { ...this.styleOverrides, variant };
+            this.options.variant = variant;
+            this.applyTheme(this.manager ? this.manager.theme : DEFAULT_THEME);
+        }
+
+        setBounds(x, y, width, height) {
+            this.x = x;
+            this.y = y;
+            this.width = width;
+            this.height = height;
+        }
+
+        setPosition(x, y) {
+            this.setBounds(x, y, this.width, this.height);
+        }
+
+        setSize(width, height) {
+            this.setBounds(this.x, this.y, width, height);
+            if (this.anchor && this.manager && !this.parent) {
+                applyAnchor(this, this.manager.viewport);
+            }
+        }
+
+        // Pin the control to a point of the viewport ('top-left', 'center', 'bottom-right',
+        // { x: '25%', y: 1 }, ...), offset by offsetX, offsetY. Pass null to unpin.
+        setAnchor(anchor, offsetX = 0, offsetY = 0) {
+            this.anchor = parseAnchor(anchor);
+            this.anchorOffset = { x: offsetX, y: offsetY };
+            if (this.anchor && this.manager && !this.parent) {
+                applyAnchor(this, this.manager.viewport);
+            }
+        }
+
+        // Returns true when the long press was handled, which suppresses the tap
+        handleLongPress(x, y) {
+            if (this.options.onLongPress) {
+                this.options.onLongPress(this, x, y);
+                return true;
+            }
+            return false;
+        }
+
+        // Keys arrive with the action they are bound to (see InputMap). Most controls
+        // only implement handleAction, which gamepad input also goes through.
+        handleKeyDown(e, action) {
+            if (action && this.handleAction(action)) {
+                e.preventDefault();
+            }
+        }
+
+        // Handle a UI action; returns true when it was used. Confirm activates by default.
+        handleAction(action) {
+            if (action === 'confirm' && this.activate) {
+                this.activate();
+                return true;
+            }
+            return false;
+        }
+
+        // Skin states that apply, most specific first (see the skin option)
+        getSkinStates(isFocused) {
+            if (this.disabled) return ['disabled'];
+            const states = [];
+            if (this.pressed || this.dragging) states.push('pressed');
+            if (this.hovered) states.push('hover');
+            if (isFocused) states.push('focused');
+            return states;
+        }
+
+        // Sprite for a skin option in the first of the states it has, or null
+        getSkin(skin, states) {
+            return getSkinSprite(skin, states, this.manager ? this.manager.sprites : {});
+        }
+
+        // Draw a skin's sprite for the given states over a rectangle. Returns false when
+        // there is no sprite (no skin, or its atlas isn't added yet) so the flat look is
+        // drawn instead.
+        drawSkin(ctx, skin, states, x, y, width, height) {
+            const sprite = this.getSkin(skin, states);
+            if (!sprite) return false;
+            drawSprite(ctx, sprite, x, y, width, height);
+            return true;
+        }
+
+        // The control's skin option over its bounds, with the focus ring on top. Set
+        // focusWidth to 0 when the skin has focused frames of its own.
+        drawSkinnedBase(ctx, isFocused) {
+            if (!this.drawSkin(ctx, this.options.skin, this.getSkinStates(isFocused), this.x, this.y, this.width, this.height)) {
+                return false;
+            }
+            if (isFocused && this.options.focusWidth > 0) {
+                ctx.strokeStyle = this.options.focusColor;
+                ctx.lineWidth = this.options.focusWidth;
+                ctx.beginPath();
+                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, this.options.borderRadius);
+                ctx.stroke();
+            }
+            return true;
+        }
+
+        drawBase(ctx, isFocused) {
+            if (this.drawSkinnedBase(ctx, isFocused)) return;
+            const radius = this.options.borderRadius;
+            
+            // Background
+            ctx.fillStyle = this.hovered ? this.options.hoverColor : this.options.backgroundColor;
+            if (radius > 0) {
+                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+                ctx.fill();
+            } else {
+                ctx.fillRect(this.x, this.y, this.width, this.height);
+            }
+
+            // Border
+            ctx.strokeStyle = isFocused ? this.options.focusColor : this.options.borderColor;
+            ctx.lineWidth = isFocused ? this.options.focusWidth : this.options.borderWidth;
+            if (radius > 0) {
+                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+                ctx.stroke();
+            } else {
+                ctx.strokeRect(this.x, this.y, this.width, this.height);
+            }
+        }
+
+        draw(ctx, isFocused) {
+            this.drawBase(ctx, isFocused);
+        }
+    }
+
+// Button Control
+export class Button extends Control {
+        constructor(x, y, width, height, label, callback, options = {}) {
+            super(x, y, width, height, options);
+            this.label = label;
+            this.callback = callback;
+            this.pressed = false;
+            this.pressedTime = 0;
+            this.pressedDuration = 200; // milliseconds
+        }
+
+        handleClick(x, y) {
+            this.activate();
+        }
+
+        getAccessibleInfo() {
+            return { role: 'button', label: this.options.ariaLabel || this.getPlainText(this.label) };
+        }
+
+        activate() {
+            this.pressed = true;
+            this.pressedTime = 0;
+            if (this.emit('click').defaultPrevented) return;
+            if (this.callback) {
+                this.callback();
+            }
+        }
+
+        update(deltaTime) {
+            if (this.pressed) {
+                this.pressedTime += deltaTime;
+                if (this.pressedTime >= this.pressedDuration) {
+                    this.pressed = false;
+                    this.pressedTime = 0;
+                }
+            }
+        }
+
+        draw(ctx, isFocused) {
+            if (!this.drawSkinnedBase(ctx, isFocused)) {
+                this.drawFlat(ctx, isFocused);
+            }
+
+            // Draw label
+            ctx.font = this.options.font;
+            ctx.fillStyle = this.options.textColor;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            this.drawLabel(ctx, this.label, this.x + this.width / 2, this.y + this.height / 2);
+        }
+
+        // Background and border without a skin
+        drawFlat(ctx, isFocused) {
+            const radius = this.options.borderRadius;
+            
+            // Background - change color when pressed or hovered
+            if (this.pressed) {
+                ctx.fillStyle = this.options.focusColor;
+            } else if (this.hovered) {
+                ctx.fillStyle = this.options.hoverColor;
+            } else {
+                ctx.fillStyle = this.options.backgroundColor;
+            }
+            if (radius > 0) {
+                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+                ctx.fill();
+            } else {
+                ctx.fillRect(this.x, this.y, this.width, this.height);
+            }
+
+            // Border
+            ctx.strokeStyle = isFocused ? this.options.focusColor : this.options.borderColor;
+            ctx.lineWidth = isFocused ? this.options.focusWidth : this.options.borderWidth;
+            if (radius > 0) {
+                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+                ctx.stroke();
+            } else {
+                ctx.strokeRect(this.x, this.y, this.width, this.height);
+            }
+        }
+    }
+
+    // Menu Control (vertical or horizontal list of buttons)
+export class Menu extends Control {
+        constructor(x, y, width, itemHeight, items, options = {}) {
+            // Support both old and new constructor signatures
+            const orientation = options.orientation || 'vertical'; // 'vertical' or 'horizontal'
+            const gap = options.gap || 0; // Gap between items
+            // Items shown at once; longer menus scroll and follow the selection
+            const shown = options.visibleItems ? Math.min(options.visibleItems, items.length) : items.length;
+            
+            let totalWidth, totalHeight;
+            if (orientation === 'horizontal') {
+                totalWidth = shown * width + (shown - 1) * gap;
+                totalHeight = itemHeight;
+            } else {
+                totalWidth = width;
+                totalHeight = shown * itemHeight + (shown - 1) * gap;
+            }
+            
+            super(x, y, totalWidth, totalHeight, options);
+            this.itemWidth = width;
+            this.itemHeight = itemHeight;
+            this.items = items;
+            this.selectedIndex = 0;
+            this.hoverIndex = -1;
+            this.orientation = orientation;
+            this.gap = gap;
+            this.scrollOffset = 0; // px scrolled along the menu's axis
+        }
+
+        handleClick(x, y) {
+            const index = this.getItemIndexAt(x, y);
+            if (index !== -1) {
+                this.select(index);
+                this.activateItem(index);
+            }
+        }
+
+        localizeText(manager) {
+            super.localizeText(manager);
+            for (let item of this.items) {
+                manager.localizeFields(item, ['label']);
+            }
+        }
+
+        // Move the selection, firing change when it moves
+        select(index) {
+            const previousValue = this.selectedIndex;
+            this.selectedIndex = index;
+            this.scrollToItem(index);
+            if (index !== previousValue) {
+                this.emit('change', { value: index, previousValue, item: this.items[index] });
+            }
+        }
+
+        // Run an item's callback unless a click listener prevents it
+        activateItem(index) {
+            const item = this.items[index];
+            if (this.emit('click', { index, item }).defaultPrevented) return;
+            if (item.callback) {
+                item.callback();
+            }
+        }
+
+        handlePointerMove(x, y) {
+            this.hoverIndex = this.getItemIndexAt(x, y);
+        }
+
+        handlePointerLeave() {
+            this.hoverIndex = -1;
+        }
+
+        // How far the items reach past the menu's size, 0 when they all fit
+        getMaxScroll() {
+            const vertical = this.orientation === 'vertical';
+            const itemSize = vertical ? this.itemHeight : this.itemWidth;
+            const length = this.items.length * itemSize + Math.max(this.items.length - 1, 0) * this.gap;
+            return Math.max(0, length - (vertical ? this.height : this.width));
+        }
+
+        // Scroll by a pixel delta (deltaY, or deltaX for horizontal menus if given);
+        // returns true if the menu can scroll at all
+        handleScroll(deltaX, deltaY) {
+            const maxScroll = this.getMaxScroll();
+            if (maxScroll <= 0) return false;
+            const delta = this.orientation === 'horizontal' && deltaX ? deltaX : deltaY;
+            this.scrollOffset = Math.min(Math.max(this.scrollOffset + delta, 0), maxScroll);
+            return true;
+        }
+
+        // Scroll just far enough to show an item
+        scrollToItem(index) {
+            const vertical = this.orientation === 'vertical';
+            const itemSize = vertical ? this.itemHeight : this.itemWidth;
+            const start = index * (itemSize + this.gap);
+            const size = vertical ? this.height : this.width;
+            if (start < this.scrollOffset) {
+                this.scrollOffset = start;
+            } else if (start + itemSize > this.scrollOffset + size) {
+                this.scrollOffset = start + itemSize - size;
+            }
+            this.scrollOffset = Math.min(Math.max(this.scrollOffset, 0), this.getMaxScroll());
+        }
+
+        // Index of the item under a point (gaps and scrolled-out items count as no item), or -1
+        getItemIndexAt(x, y) {
+            if (!this.containsPoint(x, y)) return -1;
+            for (let i = 0; i < this.items.length; i++) {
+                const itemBounds = this.getItemBounds(i);
+                if (x >= itemBounds.x && x <= itemBounds.x + itemBounds.width &&
+                    y >= itemBounds.y && y <= itemBounds.y + itemBounds.height) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+
+        getItemBounds(index) {
+            if (this.orientation === 'horizontal') {
+                // Right to left, the first item is on the right
+                return {
+                    x: this.flipX(this.x + index * (this.itemWidth + this.gap) - this.scrollOffset, this.itemWidth),
+                    y: this.y,
+                    width: this.itemWidth,
+                    height: this.itemHeight
+                };
+            } else {
+                return {
+                    x: this.x,
+                    y: this.y + index * (this.itemHeight + this.gap) - this.scrollOffset,
+                    width: this.itemWidth,
+                    height: this.itemHeight
+                };
+            }
+        }
+
+        handleAction(action) {
+            const isVertical = this.orientation === 'vertical';
+            // Right to left, Left moves on to the next item of a horizontal menu
+            const back = this.isRTL() && !isVertical ? 'right' : 'left';
+            const forward = this.isRTL() && !isVertical ? 'left' : 'right';
+            const prevAction = isVertical ? 'up' : back;
+            const nextAction = isVertical ? 'down' : forward;
+
+            // With spatial navigation only the menu's own axis moves the selection, and
+            // running off either end leaves the action for the manager to move focus
+            if (this.usesSpatialNavigation() && DIRECTIONS[action]) {
+                const step = action === nextAction ? 1 : (action === prevAction ? -1 : 0);
+                const index = this.selectedIndex + step;
+                if (step !== 0 && index >= 0 && index < this.items.length) {
+                    this.select(index);
+                    return true;
+                }
+                return false;
+            }
+            
+            if (action === 'up' || action === back) {
+                this.select((this.selectedIndex - 1 + this.items.length) % this.items.length);
+            } else if (action === 'down' || action === forward) {
+                this.select((this.selectedIndex + 1) % this.items.length);
+            } else if ((action === 'pageUp' || action === 'pageDown') && this.options.visibleItems) {
+                // A page of items at a time in a scrolling menu
+                const page = this.options.visibleItems * (action === 'pageUp' ? -1 : 1);
+                this.select(Math.min(Math.max(this.selectedIndex + page, 0), this.items.length - 1));
+            } else if (action === 'confirm') {
+                this.activate();
+            } else {
+                return false;
+            }
+            return true;
+        }
+
+        activate() {
+            this.activateItem(this.selectedIndex);
+        }
+
+        getAccessibleInfo() {
+            return {
+                role: 'menu',
+                label: this.options.ariaLabel || null,
+                orientation: this.orientation,
+                items: this.items.map((item, i) => ({ role: 'menuitem', label: this.getPlainText(item.label), bounds: this.getItemBounds(i) })),
+                activeItem: this.selectedIndex
+            };
+        }
+
+        draw(ctx, isFocused) {
+            const radius = this.options.borderRadius;
+            const maxScroll = this.getMaxScroll();
+
+            // Items scrolled partly out are cut off at the menu's edges
+            ctx.save();
+            if (maxScroll > 0) {
+                ctx.beginPath();
+                ctx.rect(this.x, this.y, this.width, this.height);
+                ctx.clip();
+            }
+            
+            for (let i = 0; i < this.items.length; i++) {
+                const bounds = this.getItemBounds(i);
+                const isSelected = i === this.selectedIndex;
+                if (bounds.x + bounds.width < this.x || bounds.x > this.x + this.width ||
+                    bounds.y + bounds.height < this.y || bounds.y > this.y + this.height) continue;
+
+                // Background
+                if (isSelected && isFocused) {
+                    ctx.fillStyle = this.options.focusColor;
+                } else if (isSelected || i === this.hoverIndex) {
+                    ctx.fillStyle = this.options.hoverColor;
+                } else {
+                    ctx.fillStyle = this.options.backgroundColor;
+                }
+                
+                if (radius > 0) {
+                    drawRoundedRect(ctx, bounds.x, bounds.y, bounds.width, bounds.height, radius);
+                    ctx.fill();
+                } else {
+                    ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+                }
+
+                // Border
+                ctx.strokeStyle = isFocused && isSelected ? this.options.focusColor : this.options.borderColor;
+                ctx.lineWidth = isFocused && isSelected ? this.options.focusWidth : this.options.borderWidth;
+                if (radius > 0) {
                     drawRoundedRect(ctx, bounds.x, bounds.y, bounds.width, bounds.height, radius);
                     ctx.stroke();
                 } else {
-                    ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+                    ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+                }
+
+                // Label
+                ctx.font = this.options.font;
+                ctx.fillStyle = this.options.textColor;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                this.drawLabel(ctx, this.items[i].label, bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+            }
+            ctx.restore();
+
+            // Scroll position along the inside edge (right, or bottom for horizontal menus)
+            if (maxScroll > 0) {
+                ctx.fillStyle = this.options.mutedColor;
+                if (this.orientation === 'vertical') {
+                    const thumbHeight = Math.max(20, this.height * this.height / (this.height + maxScroll));
+                    const thumbY = this.y + (this.height - thumbHeight) * this.scrollOffset / maxScroll;
+                    ctx.fillRect(this.flipX(this.x + this.width - 6, 4), thumbY, 4, thumbHeight);
+                } else {
+                    const thumbWidth = Math.max(20, this.width * this.width / (this.width + maxScroll));
+                    const thumbX = this.x + (this.width - thumbWidth) * this.scrollOffset / maxScroll;
+                    ctx.fillRect(this.flipX(thumbX, thumbWidth), this.y + this.height - 6, thumbWidth, 4);
+                }
+            }
+        }
+    }
+
+    // Toggle Control
+export class Toggle extends Control {
+        constructor(x, y, width, height, label, initialValue, callback, options = {}) {
+            super(x, y, width, height, options);
+            this.label = label;
+            this.value = initialValue;
+            this.callback = callback;
+        }
+
+        handleClick(x, y) {
+            this.activate();
+        }
+
+        activate() {
+            if (this.emit('click').defaultPrevented) return;
+            this.toggle();
+        }
+
+        getAccessibleInfo() {
+            return { role: 'switch', label: this.options.ariaLabel || this.getPlainText(this.label), checked: this.value };
+        }
+
+        toggle() {
+            this.value = !this.value;
+            this.emit('change', { value: this.value, previousValue: !this.value });
+            if (this.callback) {
+                this.callback(this.value);
+            }
+        }
+
+        draw(ctx, isFocused) {
+            this.drawBase(ctx, isFocused);
+
+            // Draw label
+            ctx.font = this.options.font;
+            ctx.fillStyle = this.options.textColor;
+            ctx.textAlign = this.flipAlign('left');
+            ctx.textBaseline = 'middle';
+            this.drawLabel(ctx, this.label, this.flipX(this.x + this.options.padding), this.y + this.height / 2);
+
+            // Draw toggle switch, on the far side from the label
+            const switchWidth = 50;
+            const switchHeight = 25;
+            const switchX = this.flipX(this.x + this.width - switchWidth - this.options.padding, switchWidth);
+            const switchY = this.y + (this.height - switchHeight) / 2;
+            const switchRadius = this.options.borderRadius > 0 ? Math.min(switchHeight / 2, this.options.borderRadius) : switchHeight / 2;
+
+            // Switch background; its skin's checked state shows it switched on
+            const trackStates = this.disabled ? ['disabled'] : (this.value ? ['checked'] : []);
+            if (!this.drawSkin(ctx, this.options.trackSkin, trackStates, switchX, switchY, switchWidth, switchHeight)) {
+                ctx.fillStyle = this.value ? this.options.focusColor : this.options.mutedColor;
+                drawRoundedRect(ctx, switchX, switchY, switchWidth, switchHeight, switchRadius);
+                ctx.fill();
+            }
+
+            // Switch knob
+            const knobSize = 20;
+            const knobOn = this.isRTL() ? !this.value : this.value; // On is toward the reading end
+            const knobX = knobOn ? switchX + switchWidth - knobSize - 2 : switchX + 2;
+            const knobY = switchY + 2.5;
+            const knobRadius = this.options.borderRadius > 0 ? Math.min(knobSize / 2, this.options.borderRadius) : knobSize / 2;
+            
+            if (!this.drawSkin(ctx, this.options.knobSkin, this.getSkinStates(isFocused), knobX, knobY, knobSize, knobSize)) {
+                ctx.fillStyle = this.options.knobColor;
+                drawRoundedRect(ctx, knobX, knobY, knobSize, knobSize, knobRadius);
+                ctx.fill();
+            }
+        }
+    }
+
+// TextInput Control
+export class TextInput extends Control {
+        constructor(x, y, width, height, placeholder, options = {}) {
+            super(x, y, width, height, options, {
+                maxLength: Infinity,
+                inputMode: 'text',      // 'text', 'numeric', 'alphanumeric', a RegExp or a filter function
+                textTransform: null,    // 'uppercase' or 'lowercase'
+                password: false,
+                maskChar: '•',
+                validate: null,         // (value, input) => true | false | error message
+                errorMessage: 'Invalid value',
+                onChange: null,         // (value, input) => {}
+                onSubmit: null          // (value, input) => {}, called on Enter when valid
+            });
+            this.placeholder = placeholder;
+            this.value = '';
+            this.cursorPos = 0;
+            this.selectionAnchor = 0; // Selection runs between the anchor and cursorPos
+            this.cursorVisible = true;
+            this.cursorBlinkTime = 0;
+            this.scrollX = 0;         // Horizontal scroll of the text in pixels
+            this.selecting = false;   // Pointer drag selection in progress
+            this.lastPointerDownTime = 0;
+            this.error = null;        // Validation message while the value is invalid
+            this.compositionText = null; // In-progress IME composition, drawn underlined
+        }
+
+        // Keep only the characters allowed by inputMode and textTransform
+        filterText(text) {
+            const mode = this.options.inputMode;
+            let allowed = null;
+            if (mode === 'numeric') {
+                allowed = /[0-9]/;
+            } else if (mode === 'alphanumeric') {
+                allowed = /[\p{L}\p{N}]/u;
+            } else if (mode instanceof RegExp) {
+                allowed = mode;
+            }
+
+            if (typeof mode === 'function') {
+                text = mode(text, this) || '';
+            } else if (allowed) {
+                text = Array.from(text).filter((ch) => allowed.test(ch)).join('');
+            }
+
+            if (this.options.textTransform === 'uppercase') {
+                text = text.toUpperCase();
+            } else if (this.options.textTransform === 'lowercase') {
+                text = text.toLowerCase();
+            }
+            return text;
+        }
+
+        setValue(value) {
+            this.selectAll();
+            this.insertText(String(value));
+        }
+
+        // Run the validate option; returns true when the value is valid
+        validate() {
+            if (!this.options.validate) {
+                this.error = null;
+                return true;
+            }
+
+            const result = this.options.validate(this.value, this);
+            if (result === true || result === undefined || result === null) {
+                this.error = null;
+            } else if (typeof result === 'string') {
+                this.error = result;
+            } else {
+                this.error = this.options.errorMessage;
+            }
+            return this.error === null;
+        }
+
+        submit() {
+            if (!this.validate()) return;
+            if (this.emit('submit', { value: this.value }).defaultPrevented) return;
+            if (this.options.onSubmit) {
+                this.options.onSubmit(this.value, this);
+            }
+        }
+
+        getAccessibleInfo() {
+            return {
+                role: 'textbox',
+                label: this.options.ariaLabel || this.placeholder,
+                value: this.getDisplayText(),
+                invalid: this.error !== null,
+                description: this.error
+            };
+        }
+
+        // Text as drawn, masked in password mode
+        getDisplayText() {
+            return this.options.password ? this.options.maskChar.repeat(this.value.length) : this.value;
+        }
+
+        hasSelection() {
+            return this.selectionAnchor !== this.cursorPos;
+        }
+
+        getSelectionRange() {
+            return {
+                start: Math.min(this.selectionAnchor, this.cursorPos),
+                end: Math.max(this.selectionAnchor, this.cursorPos)
+            };
+        }
+
+        getSelectedText() {
+            const { start, end } = this.getSelectionRange();
+            return this.value.slice(start, end);
+        }
+
+        selectAll() {
+            this.selectionAnchor = 0;
+            this.cursorPos = this.value.length;
+        }
+
+        // Move the cursor, extending the selection or collapsing it
+        moveCursor(pos, extend = false) {
+            this.cursorPos = Math.max(0, Math.min(this.value.length, pos));
+            if (!extend) {
+                this.selectionAnchor = this.cursorPos;
+            }
+        }
+
+        // Replace the selection (or insert at the cursor) with text
+        insertText(text) {
+            const { start, end } = this.getSelectionRange();
+            text = this.filterText(text);
+
+            // Truncate to whatever room maxLength leaves
+            const room = this.options.maxLength - (this.value.length - (end - start));
+            text = text.slice(0, Math.max(0, room));
+
+            const oldValue = this.value;
+            this.value = this.value.slice(0, start) + text + this.value.slice(end);
+            this.moveCursor(start + text.length);
+
+            if (this.value !== oldValue) {
+                // Once invalid, re-check on every edit so the error clears as it is fixed
+                if (this.error !== null) {
+                    this.validate();
+                }
+                this.emit('change', { value: this.value, previousValue: oldValue });
+                if (this.options.onChange) {
+                    this.options.onChange(this.value, this);
+                }
+            }
+            return text.length > 0;
+        }
+
+        deleteSelection() {
+            this.insertText('');
+        }
+
+        // Start of the word before pos, or end of the word after it
+        findWordBoundary(pos, direction) {
+            // Masked text has no visible words, so jump to the ends
+            if (this.options.password) {
+                return direction < 0 ? 0 : this.value.length;
+            }
+
+            const isWordChar = (ch) => /[\p{L}\p{N}_]/u.test(ch);
+            if (direction < 0) {
+                while (pos > 0 && !isWordChar(this.value[pos - 1])) pos--;
+                while (pos > 0 && isWordChar(this.value[pos - 1])) pos--;
+            } else {
+                while (pos < this.value.length && !isWordChar(this.value[pos])) pos++;
+                while (pos < this.value.length && isWordChar(this.value[pos])) pos++;
+            }
+            return pos;
+        }
+
+        copy() {
+            // Passwords never leave the field
+            if (this.options.password) return;
+            if (this.hasSelection() && navigator.clipboard) {
+                navigator.clipboard.writeText(this.getSelectedText()).catch(() => {});
+            }
+        }
+
+        cut() {
+            if (this.hasSelection() && !this.options.password) {
+                this.copy();
+                this.deleteSelection();
+            }
+        }
+
+        // Paste through the async Clipboard API, for use outside a paste event
+        paste() {
+            if (!navigator.clipboard || !navigator.clipboard.readText) {
+                return Promise.resolve();
+            }
+            return navigator.clipboard.readText()
+                .then((text) => this.insertText(text))
+                .catch(() => {});
+        }
+
+        handleCopy(e) {
+            if (this.options.password) {
+                e.preventDefault();
+                return;
+            }
+            if (this.hasSelection()) {
+                e.clipboardData.setData('text/plain', this.getSelectedText());
+                e.preventDefault();
+            }
+        }
+
+        handleCut(e) {
+            if (this.hasSelection() && !this.options.password) {
+                this.handleCopy(e);
+                this.deleteSelection();
+            }
+        }
+
+        // The browser's default paste is only stopped when some text went in
+        handlePaste(e) {
+            const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            // Single-line input, so line breaks become spaces
+            if (text && this.insertText(text.replace(/\r?\n/g, ' '))) {
+                e.preventDefault();
+            }
+        }
+
+        handlePointerDown(x, y) {
+            const index = this.getCharIndexAt(x);
+            const now = Date.now();
+
+            // Double press selects the word under the pointer
+            if (now - this.lastPointerDownTime < 400) {
+                this.selectionAnchor = this.findWordBoundary(Math.min(index + 1, this.value.length), -1);
+                this.cursorPos = this.findWordBoundary(this.selectionAnchor, 1);
+                this.lastPointerDownTime = 0;
+            } else {
+                const extend = this.manager && this.manager.keys.Shift;
+                this.moveCursor(index, extend);
+                this.selecting = true;
+                this.lastPointerDownTime = now;
+            }
+            this.resetCursorBlink();
+        }
+
+        handlePointerMove(x, y) {
+            if (this.selecting) {
+                this.moveCursor(this.getCharIndexAt(x), true);
+                this.resetCursorBlink();
+            }
+        }
+
+        handlePointerUp(x, y) {
+            this.selecting = false;
+        }
+
+        // Editing uses the raw keys; only non-character keys bound to 'confirm' (Enter) submit
+        handleKeyDown(e, action) {
+            // Ctrl on Windows/Linux, Cmd on Mac (AltGr reports Ctrl+Alt and types characters)
+            const isCommand = (e.ctrlKey && !e.altKey) || e.metaKey;
+            const isWordJump = e.ctrlKey || e.altKey;
+            const extend = e.shiftKey;
+
+            // Arrows move the way they point, so right to left Left moves toward the end
+            let arrowKey = e.key;
+            if (this.isRTL() && (arrowKey === 'ArrowLeft' || arrowKey === 'ArrowRight')) {
+                arrowKey = arrowKey === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
+            }
+
+            if (isCommand && e.key.toLowerCase() === 'a') {
+                this.selectAll();
+                e.preventDefault();
+            } else if (isCommand && e.key.toLowerCase() === 'c') {
+                this.copy();
+                e.preventDefault();
+            } else if (isCommand && e.key.toLowerCase() === 'x') {
+                this.cut();
+                e.preventDefault();
+            } else if (isCommand && e.key.toLowerCase() === 'v') {
+                // Left alone so the browser fires a paste event, which the manager forwards to handlePaste
+            } else if (action === 'confirm' && e.key.length !== 1) {
+                this.submit();
+                e.preventDefault();
+            } else if (e.key === 'Backspace') {
+                if (this.hasSelection()) {
+                    this.deleteSelection();
+                } else if (this.cursorPos > 0) {
+                    const start = isWordJump ? this.findWordBoundary(this.cursorPos, -1) : this.cursorPos - 1;
+                    this.selectionAnchor = start;
+                    this.deleteSelection();
+                }
+                e.preventDefault();
+            } else if (e.key === 'Delete') {
+                if (this.hasSelection()) {
+                    this.deleteSelection();
+                } else if (this.cursorPos < this.value.length) {
+                    const end = isWordJump ? this.findWordBoundary(this.cursorPos, 1) : this.cursorPos + 1;
+                    this.selectionAnchor = end;
+                    this.deleteSelection();
+                }
+                e.preventDefault();
+            } else if (arrowKey === 'ArrowLeft') {
+                if (e.metaKey) {
+                    this.moveCursor(0, extend);
+                } else if (isWordJump) {
+                    this.moveCursor(this.findWordBoundary(this.cursorPos, -1), extend);
+                } else if (this.hasSelection() && !extend) {
+                    this.moveCursor(this.getSelectionRange().start);
+                } else {
+                    this.moveCursor(this.cursorPos - 1, extend);
+                }
+                e.preventDefault();
+            } else if (arrowKey === 'ArrowRight') {
+                if (e.metaKey) {
+                    this.moveCursor(this.value.length, extend);
+                } else if (isWordJump) {
+                    this.moveCursor(this.findWordBoundary(this.cursorPos, 1), extend);
+                } else if (this.hasSelection() && !extend) {
+                    this.moveCursor(this.getSelectionRange().end);
+                } else {
+                    this.moveCursor(this.cursorPos + 1, extend);
+                }
+                e.preventDefault();
+            } else if (e.key === 'Home') {
+                this.moveCursor(0, extend);
+                e.preventDefault();
+            } else if (e.key === 'End') {
+                this.moveCursor(this.value.length, extend);
+                e.preventDefault();
+            } else if (e.key.length === 1 && !isCommand) {
+                // Typing into the hidden input arrives as an input event instead
+                const fromTextInputElement = this.manager && e.target === this.manager.textInputElement;
+                if (!fromTextInputElement) {
+                    this.insertText(e.key);
+                    e.preventDefault();
+                }
+            }
+            
+            this.resetCursorBlink();
+        }
+
+        // Gamepad confirm submits
+        handleAction(action) {
+            if (action === 'confirm') {
+                this.submit();
+                return true;
+            }
+            return false;
+        }
+
+        handleCompositionStart() {
+            this.compositionText = '';
+        }
+
+        handleCompositionUpdate(text) {
+            this.compositionText = text;
+            this.resetCursorBlink();
+        }
+
+        // The composed text replaces the selection, like typing
+        handleCompositionEnd(text) {
+            this.compositionText = null;
+            if (text) {
+                this.insertText(text);
+            }
+            this.resetCursorBlink();
+        }
+
+        cancelComposition() {
+            this.compositionText = null;
+        }
+
+        // Caret location in canvas coordinates
+        getCaretPosition() {
+            const { start } = this.getSelectionRange();
+            const composition = this.compositionText || '';
+            const caretX = composition
+                ? this.measureTo(start) + this.measureText(composition)
+                : this.measureTo(this.cursorPos);
+
+            return {
+                x: this.getTextX(caretX),
+                y: this.y + this.options.padding,
+                height: this.height - this.options.padding * 2
+            };
+        }
+
+        resetCursorBlink() {
+            this.cursorVisible = true;
+            this.cursorBlinkTime = 0;
+        }
+
+        update(deltaTime) {
+            this.cursorBlinkTime += deltaTime;
+            if (this.cursorBlinkTime >= 500) {
+                this.cursorVisible = !this.cursorVisible;
+                this.cursorBlinkTime = 0;
+            }
+        }
+
+        measureText(text) {
+            if (!this.manager) return 0;
+            const ctx = this.manager.ctx;
+            ctx.font = this.options.font;
+            return measureText(ctx, text).width;
+        }
+
+        // Width of the displayed text up to a character index
+        measureTo(index) {
+            return this.measureText(this.getDisplayText().slice(0, index));
+        }
+
+        // Canvas x of a distance along the text from its start, which is the right-hand
+        // edge when writing right to left
+        getTextX(offset) {
+            return this.flipX(this.x + this.options.padding + offset - this.scrollX);
+        }
+
+        // Character boundary nearest to a canvas x coordinate
+        getCharIndexAt(x) {
+            const localX = this.flipX(x) - (this.x + this.options.padding) + this.scrollX;
+            if (localX <= 0) return 0;
+
+            let previousWidth = 0;
+            for (let i = 1; i <= this.value.length; i++) {
+                const width = this.measureTo(i);
+                if (localX < (previousWidth + width) / 2) {
+                    return i - 1;
+                }
+                previousWidth = width;
+            }
+            return this.value.length;
+        }
+
+        // Scroll horizontally so the cursor stays inside the visible area
+        updateScroll(cursorX, textWidth) {
+            const innerWidth = this.width - this.options.padding * 2;
+
+            if (cursorX - this.scrollX > innerWidth) {
+                this.scrollX = cursorX - innerWidth;
+            } else if (cursorX - this.scrollX < 0) {
+                this.scrollX = cursorX;
+            }
+            // Don't leave empty space on the right once text is deleted
+            this.scrollX = Math.max(0, Math.min(this.scrollX, textWidth - innerWidth + 2));
+        }
+
+        draw(ctx, isFocused) {
+            this.drawBase(ctx, isFocused);
+
+            if (this.error !== null) {
+                this.drawError(ctx);
+            }
+
+            // Draw text or placeholder
+            ctx.font = this.options.font;
+            ctx.textAlign = this.flipAlign('left');
+            ctx.textBaseline = 'middle';
+            
+            // While composing, the composition is shown in place of the selection
+            const composition = this.compositionText || '';
+            const { start, end } = this.getSelectionRange();
+            let displayText = this.getDisplayText();
+            let caretIndex = this.cursorPos;
+            if (composition) {
+                displayText = displayText.slice(0, start) + composition + displayText.slice(end);
+                caretIndex = start + composition.length;
+            }
+
+            const textY = this.y + this.height / 2;
+            const caretTop = this.y + this.options.padding;
+            const caretBottom = this.y + this.height - this.options.padding;
+
+            if (displayText) {
+                this.updateScroll(
+                    measureText(ctx, displayText.slice(0, caretIndex)).width,
+                    measureText(ctx, displayText).width
+                );
+
+                // Clip to the inner area so long values scroll instead of overflowing
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(this.x + this.options.padding, this.y, this.width - this.options.padding * 2, this.height);
+                ctx.clip();
+
+                // Draw selection highlight
+                if (isFocused && this.hasSelection() && !composition) {
+                    const startX = this.getTextX(measureText(ctx, displayText.slice(0, start)).width);
+                    const endX = this.getTextX(measureText(ctx, displayText.slice(0, end)).width);
+                    ctx.fillStyle = this.options.selectionColor;
+                    ctx.fillRect(Math.min(startX, endX), caretTop, Math.abs(endX - startX), caretBottom - caretTop);
+                }
+
+                ctx.fillStyle = this.options.textColor;
+                fillText(ctx, displayText, this.getTextX(0), textY);
+
+                // Underline the in-progress composition
+                if (composition) {
+                    const startX = this.getTextX(measureText(ctx, displayText.slice(0, start)).width);
+                    const endX = this.getTextX(measureText(ctx, displayText.slice(0, start) + composition).width);
+                    ctx.strokeStyle = this.options.textColor;
+                    ctx.lineWidth = 1;
+                    ctx.beginPath();
+                    ctx.moveTo(startX, caretBottom - 2);
+                    ctx.lineTo(endX, caretBottom - 2);
+                    ctx.stroke();
+                }
+
+                // Draw cursor if focused
+                if (isFocused && this.cursorVisible) {
+                    const textBeforeCursor = displayText.slice(0, caretIndex);
+                    const cursorX = this.getTextX(measureText(ctx, textBeforeCursor).width);
+                    ctx.strokeStyle = this.options.textColor;
+                    ctx.lineWidth = 2;
+                    ctx.beginPath();
+                    ctx.moveTo(cursorX, caretTop);
+                    ctx.lineTo(cursorX, caretBottom);
+                    ctx.stroke();
+                }
+
+                ctx.restore();
+            } else if (!isFocused) {
+                this.scrollX = 0;
+                ctx.fillStyle = this.options.mutedColor;
+                fillText(ctx, this.placeholder, this.getTextX(0), textY);
+            } else if (this.cursorVisible) {
+                // Draw cursor at start when empty
+                this.scrollX = 0;
+                const textX = this.getTextX(0);
+                ctx.strokeStyle = this.options.textColor;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(textX, caretTop);
+                ctx.lineTo(textX, caretBottom);
+                ctx.stroke();
+            }
+        }
+
+        // Error border over the normal one, with the message underneath the box
+        drawError(ctx) {
+            const radius = this.options.borderRadius;
+            ctx.strokeStyle = this.options.errorColor;
+            ctx.lineWidth = this.options.borderWidth;
+            if (radius > 0) {
+                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+                ctx.stroke();
+            } else {
+                ctx.strokeRect(this.x, this.y, this.width, this.height);
+            }
+
+            ctx.font = this.options.errorFont;
+            ctx.fillStyle = this.options.errorColor;
+            ctx.textAlign = this.flipAlign('left');
+            ctx.textBaseline = 'top';
+            fillText(ctx, this.error, this.flipX(this.x), this.y + this.height + 4);
+        }
+    }
+
+    // Radio Control
+export class Radio extends Control {
+        constructor(x, y, width, itemHeight, options, selectedIndex, callback, opts = {}) {
+            const height = itemHeight * options.length;
+            super(x, y, width, height, opts);
+            this.itemHeight = itemHeight;
+            this.items = options;
+            this.selectedIndex = selectedIndex;
+            this.hoverIndex = -1;
+            this.callback = callback;
+        }
+
+        handleClick(x, y) {
+            const index = this.getItemIndexAt(x, y);
+            if (index !== -1) {
+                this.activateItem(index);
+            }
+        }
+
+        localizeText(manager) {
+            super.localizeText(manager);
+            manager.localizeFields(this.items, this.items.map((item, i) => i));
+        }
+
+        // Select an option unless a click listener prevents it
+        activateItem(index) {
+            if (!this.emit('click', { index }).defaultPrevented) {
+                this.select(index);
+            }
+        }
+
+        getAccessibleInfo() {
+            return {
+                role: 'radiogroup',
+                label: this.options.ariaLabel || null,
+                items: this.items.map((item, i) => ({
+                    role: 'radio',
+                    label: this.getPlainText(item),
+                    checked: i === this.selectedIndex,
+                    bounds: { x: this.x, y: this.y + i * this.itemHeight, width: this.width, height: this.itemHeight }
+                })),
+                activeItem: this.selectedIndex
+            };
+        }
+
+        select(index) {
+            const previousValue = this.selectedIndex;
+            this.selectedIndex = index;
+            if (index !== previousValue) {
+                this.emit('change', { value: index, previousValue, item: this.items[index] });
+            }
+            if (this.callback) {
+                this.callback(this.selectedIndex, this.items[this.selectedIndex]);
+            }
+        }
+
+        handleAction(action) {
+            const count = this.items.length;
+
+            // With spatial navigation Left/Right and running off either end move focus instead
+            if (this.usesSpatialNavigation()) {
+                const step = action === 'down' ? 1 : (action === 'up' ? -1 : 0);
+                const index = this.selectedIndex + step;
+                if (step === 0 || index < 0 || index >= count) return false;
+                this.select(index);
+                return true;
+            }
+
+            if (action === 'up' || action === 'left') {
+                this.select((this.selectedIndex - 1 + count) % count);
+            } else if (action === 'down' || action === 'right') {
+                this.select((this.selectedIndex + 1) % count);
+            } else {
+                return false;
+            }
+            return true;
+        }
+
+        handlePointerMove(x, y) {
+            this.hoverIndex = this.getItemIndexAt(x, y);
+        }
+
+        handlePointerLeave() {
+            this.hoverIndex = -1;
+        }
+
+        // Index of the option under a point, or -1
+        getItemIndexAt(x, y) {
+            if (!this.containsPoint(x, y)) return -1;
+            const index = Math.floor((y - this.y) / this.itemHeight);
+            return index >= 0 && index < this.items.length ? index : -1;
+        }
+
+        draw(ctx, isFocused) {
+            const radius = this.options.borderRadius;
+            
+            for (let i = 0; i < this.items.length; i++) {
+                const y = this.y + i * this.itemHeight;
+                const isSelected = i === this.selectedIndex;
+
+                // Background
+                ctx.fillStyle = i === this.hoverIndex ? this.options.hoverColor : this.options.backgroundColor;
+                ctx.fillRect(this.x, y, this.width, this.itemHeight);
+
+                // Radio button circle
+                const radioSize = 16;
+                const radioX = this.flipX(this.x + this.options.padding + radioSize / 2);
+                const radioY = y + this.itemHeight / 2;
+
+                ctx.strokeStyle = this.options.textColor;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(radioX, radioY, radioSize / 2, 0, Math.PI * 2);
+                ctx.stroke();
+
+                // Fill if selected
+                if (isSelected) {
+                    ctx.fillStyle = this.options.focusColor;
+                    ctx.beginPath();
+                    ctx.arc(radioX, radioY, radioSize / 3, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+
+                // Label
+                ctx.font = this.options.font;
+                ctx.fillStyle = this.options.textColor;
+                ctx.textAlign = this.flipAlign('left');
+                ctx.textBaseline = 'middle';
+                this.drawLabel(ctx, this.items[i], this.isRTL() ? radioX - radioSize : radioX + radioSize, radioY);
+            }
+
+            // Draw outer border around entire control
+            ctx.strokeStyle = isFocused ? this.options.focusColor : this.options.borderColor;
+            ctx.lineWidth = isFocused ? this.options.focusWidth : this.options.borderWidth;
+            if (radius > 0) {
+                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+                ctx.stroke();
+            } else {
+                ctx.strokeRect(this.x, this.y, this.width, this.height);
+            }
+        }
+    }
+
+// Slider Control
+export class Slider extends Control {
+        constructor(x, y, width, height, min, max, value, step, label, callback, options = {}) {
+            super(x, y, width, height, options);
+            this.min = min;
+            this.max = max;
+            this.value = value;
+            this.step = step;
+            this.label = label;
+            this.callback = callback;
+            this.dragging = false;
+            this.knobHovered = false;
+        }
+
+        handleClick(x, y) {
+            this.updateValueFromX(x);
+        }
+
+        handlePointerDown(x, y) {
+            this.dragging = true;
+            this.updateValueFromX(x);
+        }
+
+        handlePointerMove(x, y) {
+            if (this.dragging) {
+                this.updateValueFromX(x);
+            } else {
+                const knob = this.getKnobBounds();
+                this.knobHovered = x >= knob.x && x <= knob.x + knob.size &&
+                                   y >= knob.y && y <= knob.y + knob.size;
+            }
+        }
+
+        handlePointerUp(x, y) {
+            this.dragging = false;
+        }
+
+        handlePointerLeave() {
+            this.knobHovered = false;
+        }
+
+        getAccessibleInfo() {
+            return {
+                role: 'slider',
+                label: this.options.ariaLabel || this.getPlainText(this.label),
+                value: this.value,
+                min: this.min,
+                max: this.max
+            };
+        }
+
+        handleAction(action) {
+            const previousValue = this.value;
+            const lower = this.isRTL() ? 'right' : 'left';
+            const higher = this.isRTL() ? 'left' : 'right';
+            if (action === lower) {
+                this.value = Math.max(this.min, this.value - this.step);
+            } else if (action === higher) {
+                this.value = Math.min(this.max, this.value + this.step);
+            } else {
+                return false;
+            }
+            if (this.value !== previousValue) {
+                this.emit('change', { value: this.value, previousValue });
+            }
+            if (this.callback) {
+                this.callback(this.value);
+            }
+            return true;
+        }
+
+        updateValueFromX(x) {
+            const sliderX = this.x + this.options.padding;
+            const sliderWidth = this.width - this.options.padding * 2;
+            const percent = Math.max(0, Math.min(1, (this.flipX(x) - sliderX) / sliderWidth));
+            
+            let newValue = this.min + percent * (this.max - this.min);
+            newValue = Math.round(newValue / this.step) * this.step;
+            newValue = Math.max(this.min, Math.min(this.max, newValue));
+            
+            if (newValue !== this.value) {
+                const previousValue = this.value;
+                this.value = newValue;
+                this.emit('change', { value: this.value, previousValue });
+                if (this.callback) {
+                    this.callback(this.value);
+                }
+            }
+        }
+
+        getKnobBounds() {
+            const trackX = this.x + this.options.padding;
+            const trackWidth = this.width - this.options.padding * 2;
+            const percent = (this.value - this.min) / (this.max - this.min);
+            // Knob grows while hovered or dragged
+            const size = this.dragging || this.knobHovered ? 24 : 20;
+
+            // Right to left, the minimum is on the right
+            return {
+                x: this.flipX(trackX + trackWidth * percent - size / 2, size),
+                y: this.y + this.height / 2 - size / 2,
+                size
+            };
+        }
+
+        draw(ctx, isFocused) {
+            this.drawBase(ctx, isFocused);
+
+            // Draw label
+            ctx.font = this.options.font;
+            ctx.fillStyle = this.options.textColor;
+            ctx.textAlign = this.flipAlign('left');
+            ctx.textBaseline = 'top';
+            this.drawLabel(ctx, this.label, this.flipX(this.x + this.options.padding), this.y + this.options.padding);
+
+            // Draw slider track
+            const trackY = this.y + this.height / 2;
+            const trackX = this.x + this.options.padding;
+            const trackWidth = this.width - this.options.padding * 2;
+            const trackHeight = 4;
+            const trackRadius = this.options.borderRadius > 0 ? Math.min(trackHeight / 2, this.options.borderRadius / 2) : trackHeight / 2;
+
+            // Skinned track parts keep their sprite's height
+            const partStates = this.disabled ? ['disabled'] : [];
+            const trackSprite = this.getSkin(this.options.trackSkin, partStates);
+            if (trackSprite) {
+                drawSprite(ctx, trackSprite, trackX, trackY - trackSprite.height / 2, trackWidth, trackSprite.height);
+            } else {
+                ctx.fillStyle = this.options.trackColor;
+                drawRoundedRect(ctx, trackX, trackY - trackHeight / 2, trackWidth, trackHeight, trackRadius);
+                ctx.fill();
+            }
+
+            // Draw filled portion
+            const percent = (this.value - this.min) / (this.max - this.min);
+            const fillSprite = this.getSkin(this.options.fillSkin, partStates);
+            if (fillSprite) {
+                drawSprite(ctx, fillSprite, this.flipX(trackX, trackWidth * percent), trackY - fillSprite.height / 2,
+                    trackWidth * percent, fillSprite.height);
+            } else {
+                ctx.fillStyle = this.options.focusColor;
+                drawRoundedRect(ctx, this.flipX(trackX, trackWidth * percent), trackY - trackHeight / 2, trackWidth * percent, trackHeight, trackRadius);
+                ctx.fill();
+            }
+
+            // Draw slider knob
+            const knob = this.getKnobBounds();
+            const knobSize = knob.size;
+            const knobX = knob.x;
+            const knobY = knob.y;
+            const knobRadius = this.options.borderRadius > 0 ? Math.min(knobSize / 2, this.options.borderRadius) : knobSize / 2;
+
+            const knobStates = this.disabled ? ['disabled'] : [
+                ...(this.dragging ? ['pressed'] : []),
+                ...(this.knobHovered ? ['hover'] : []),
+                ...(isFocused ? ['focused'] : [])
+            ];
+            if (!this.drawSkin(ctx, this.options.knobSkin, knobStates, knobX, knobY, knobSize, knobSize)) {
+                ctx.fillStyle = isFocused || this.dragging ? this.options.focusColor : this.options.knobColor;
+                drawRoundedRect(ctx, knobX, knobY, knobSize, knobSize, knobRadius);
+                ctx.fill();
+                
+                ctx.strokeStyle = this.options.textColor;
+                ctx.lineWidth = 2;
+                drawRoundedRect(ctx, knobX, knobY, knobSize, knobSize, knobRadius);
+                ctx.stroke();
+            }
+
+            // Draw value
+            ctx.font = this.options.font;
+            ctx.fillStyle = this.options.textColor;
+            ctx.textAlign = this.flipAlign('right');
+            ctx.textBaseline = 'bottom';
+            fillText(ctx, this.value.toString(), this.flipX(this.x + this.width - this.options.padding), this.y + this.height - this.options.padding);
+        }
+    }
+
+// Panel Control - for grouping other controls with a background
+export class Panel extends Control {
+        constructor(x, y, width, height, options = {}, defaults = {}) {
+            super(x, y, width, height, options, {
+                layout: 'none',         // 'none' (children keep their own position), 'vbox', 'hbox' or 'grid'
+                gap: 10,                // Space between children
+                align: 'stretch',       // Cross axis: 'start', 'center', 'end' or 'stretch'
+                justify: 'start',       // Main axis: 'start', 'center', 'end' or 'space-between'
+                columns: 2,             // Grid only
+                rowHeight: null,        // Grid only: fixed row height, otherwise the tallest child in the row
+                sizeToContent: false,   // Resize the panel to fit its children
+                ...defaults
+            });
+            this.focusable = false;
+            this.children = [];
+        }
+
+        // A labelled panel reads as a group; without a label it only holds its children
+        getAccessibleInfo() {
+            return { role: this.options.ariaLabel ? 'group' : null, label: this.options.ariaLabel || null };
+        }
+
+        // Add a child control. layoutOptions: grow (share of spare space along the
+        // main axis) and align (overrides the panel's align for this child).
+        addChild(control, layoutOptions = {}) {
+            // Children sit after the panel's other descendants in its screen's list
+            const last = flattenControls(this).pop();
+
+            control.parent = this;
+            control.layoutOptions = { ...control.layoutOptions, ...layoutOptions };
+            control.preferredSize = { width: control.width, height: control.height };
+            control.laidOutSize = null;
+            this.children.push(control);
+
+            const screen = this.manager && this.manager.getScreenOf(this);
+            if (screen) {
+                screen.insertControls(screen.controls.indexOf(last) + 1, flattenControls(control));
+            }
+
+            this.layout();
+            return control;
+        }
+
+        removeChild(control) {
+            const index = this.children.indexOf(control);
+            if (index === -1) return;
+            this.children.splice(index, 1);
+            control.parent = null;
+
+            const screen = this.manager && this.manager.getScreenOf(control);
+            if (screen) {
+                screen.removeControl(control);
+            }
+            this.layout();
+        }
+
+        // Moving a panel moves its children; resizing lays them out again
+        setBounds(x, y, width, height) {
+            const dx = x - this.x;
+            const dy = y - this.y;
+            super.setBounds(x, y, width, height);
+            if (this.options.layout === 'none') {
+                for (let child of this.children) {
+                    child.setPosition(child.x + dx, child.y + dy);
+                }
+            } else {
+                this.layout();
+            }
+        }
+
+        // Position the children for the panel's layout. Called automatically when
+        // children are added or removed and when the panel moves or resizes; call it
+        // after changing a child's size yourself.
+        layout() {
+            if (this.options.layout === 'vbox') {
+                this.layoutStack('y');
+            } else if (this.options.layout === 'hbox') {
+                this.layoutStack('x');
+            } else if (this.options.layout === 'grid') {
+                this.layoutGrid();
+            }
+
+            // Right to left, rows start at the right-hand edge
+            if (this.isRTL() && (this.options.layout === 'hbox' || this.options.layout === 'grid')) {
+                for (let child of this.children) {
+                    child.setPosition(this.flipX(child.x, child.width), child.y);
+                }
+            }
+        }
+
+        // A child's size as given when added, so growing and stretching don't compound
+        // from one layout to the next. A size changed since the last layout replaces it.
+        getPreferredSize(child) {
+            const laidOut = child.laidOutSize;
+            if (!child.preferredSize || (laidOut && (laidOut.width !== child.width || laidOut.height !== child.height))) {
+                child.preferredSize = { width: child.width, height: child.height };
+            }
+            return child.preferredSize;
+        }
+
+        // Place a child and remember the size it was given
+        placeChild(child, x, y, width, height) {
+            child.setBounds(x, y, width, height);
+            child.laidOutSize = { width: child.width, height: child.height };
+        }
+
+        // Stack children along one axis ('y' for vbox, 'x' for hbox)
+        layoutStack(axis) {
+            const children = this.children;
+            const preferred = children.map(child => this.getPreferredSize(child));
+            const padding = this.options.padding;
+            const main = axis === 'y' ? 'height' : 'width';
+            const cross = axis === 'y' ? 'width' : 'height';
+            const crossAxis = axis === 'y' ? 'x' : 'y';
+
+            const content = preferred.reduce((sum, size) => sum + size[main], 0) +
+                Math.max(children.length - 1, 0) * this.options.gap;
+            if (this.options.sizeToContent) {
+                this[main] = content + padding * 2;
+                this[cross] = Math.max(0, ...preferred.map(size => size[cross])) + padding * 2;
+            }
+
+            const innerMain = this[main] - padding * 2;
+            const innerCross = this[cross] - padding * 2;
+            let spare = innerMain - content;
+
+            // Growing children share the spare space
+            const sizes = preferred.map(size => size[main]);
+            const totalGrow = children.reduce((sum, child) => sum + (child.layoutOptions.grow || 0), 0);
+            if (totalGrow > 0 && spare > 0) {
+                children.forEach((child, i) => {
+                    sizes[i] += spare * (child.layoutOptions.grow || 0) / totalGrow;
+                });
+                spare = 0;
+            }
+
+            let gap = this.options.gap;
+            let position = this[axis] + padding;
+            if (this.options.justify === 'center') {
+                position += spare / 2;
+            } else if (this.options.justify === 'end') {
+                position += spare;
+            } else if (this.options.justify === 'space-between' && children.length > 1) {
+                gap += spare / (children.length - 1);
+            }
+
+            children.forEach((child, i) => {
+                const align = child.layoutOptions.align || this.options.align;
+                const crossSize = align === 'stretch' ? innerCross : preferred[i][cross];
+                let crossPosition = this[crossAxis] + padding;
+                if (align === 'center') {
+                    crossPosition += (innerCross - crossSize) / 2;
+                } else if (align === 'end') {
+                    crossPosition += innerCross - crossSize;
+                }
+
+                if (axis === 'y') {
+                    this.placeChild(child, crossPosition, position, crossSize, sizes[i]);
+                } else {
+                    this.placeChild(child, position, crossPosition, sizes[i], crossSize);
+                }
+                position += sizes[i] + gap;
+            });
+        }
+
+        // Fill equal-width columns row by row
+        layoutGrid() {
+            const padding = this.options.padding;
+            const gap = this.options.gap;
+            const columns = Math.max(1, this.options.columns);
+            const cellWidth = (this.width - padding * 2 - gap * (columns - 1)) / columns;
+
+            const rows = [];
+            for (let i = 0; i < this.children.length; i += columns) {
+                rows.push(this.children.slice(i, i + columns));
+            }
+
+            let y = this.y + padding;
+            for (let row of rows) {
+                const preferred = row.map(child => this.getPreferredSize(child));
+                const rowHeight = this.options.rowHeight || Math.max(...preferred.map(size => size.height));
+                row.forEach((child, column) => {
+                    const align = child.layoutOptions.align || this.options.align;
+                    const width = align === 'stretch' ? cellWidth : Math.min(preferred[column].width, cellWidth);
+                    let x = this.x + padding + column * (cellWidth + gap);
+                    if (align === 'center') {
+                        x += (cellWidth - width) / 2;
+                    } else if (align === 'end') {
+                        x += cellWidth - width;
+                    }
+                    const height = align === 'stretch' ? rowHeight : preferred[column].height;
+                    this.placeChild(child, x, y + (rowHeight - height) / 2, width, height);
+                });
+                y += rowHeight + gap;
+            }
+
+            if (this.options.sizeToContent) {
+                this.height = Math.max(y - gap - this.y + padding, padding * 2);
+            }
+        }
+
+        draw(ctx, isFocused) {
+            if (this.drawSkin(ctx, this.options.skin, this.getSkinStates(false), this.x, this.y, this.width, this.height)) return;
+            const radius = this.options.borderRadius;
+            
+            // Background
+            ctx.fillStyle = this.options.backgroundColor;
+            if (radius > 0) {
+                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+                ctx.fill();
+            } else {
+                ctx.fillRect(this.x, this.y, this.width, this.height);
+            }
+
+            // Optional border
+            if (this.options.borderWidth > 0) {
+                ctx.strokeStyle = this.options.borderColor;
+                ctx.lineWidth = this.options.borderWidth;
+                if (radius > 0) {
+                    drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
+                    ctx.stroke();
+                } else {
+                    ctx.strokeRect(this.x, this.y, this.width, this.height);
                 }
-
-                // Label
-                ctx.font = this.options.font;
-                ctx.fillStyle = this.options.textColor;
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(this.items[i].label, bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
             }
         }
-    }
 
-    // Toggle Control
-export class Toggle extends Control {
-        constructor(x, y, width, height, label, initialValue, callback, options = {}) {
-            super(x, y, width, height, options);
-            this.label = label;
-            this.value = initialValue;
-            this.callback = callback;
+        // Panels don't receive focus or input
+        containsPoint(x, y) {
+            return false;
         }
+    }
 
-        handleClick(x, y) {
-            this.toggle();
+// Layout containers: Panels with a preset layout and no background by default
+export class VBox extends Panel {
+        constructor(x, y, width, height, options = {}) {
+            super(x, y, width, height, options, { backgroundColor: 'transparent', borderWidth: 0, layout: 'vbox' });
         }
+    }
 
-        handleKeyDown(e) {
-            if (e.key === 'Enter' || e.key === ' ') {
-                this.toggle();
-                e.preventDefault();
-            }
+export class HBox extends Panel {
+        constructor(x, y, width, height, options = {}) {
+            super(x, y, width, height, options, { backgroundColor: 'transparent', borderWidth: 0, layout: 'hbox' });
         }
+    }
 
-        activate() {
-            this.toggle();
+export class Grid extends Panel {
+        constructor(x, y, width, height, options = {}) {
+            super(x, y, width, height, options, { backgroundColor: 'transparent', borderWidth: 0, layout: 'grid' });
         }
+    }
 
-        toggle() {
-            this.value = !this.value;
-            if (this.callback) {
-                this.callback(this.value);
-            }
-        }
+    // Modal Dialog
+// Modal Dialog class. Besides its title and message a modal holds real controls:
+// options.content is stacked in a VBox under the message, and the buttons are Button
+// controls in a row along the bottom. While the modal is on top its controls are the
+// live ones, so focus, pointer and text input work in it as on a screen.
+export class Modal {
+        constructor(manager, title, message, buttons = [], options = {}) {
+            this.manager = manager;
+            this.title = title;
+            this.message = message || '';
+            this.buttons = buttons.length > 0 ? buttons : [{ label: 'OK' }];
+            this.style = options.style || {}; // Overrides for the theme's modal style
+            this.options = options;
+            this.onClose = options.onClose || null; // (modal) => {}, however it is closed
+            this.alpha = 1;
+            this.scale = 1;
+            this.lines = [];
+            this.textAlign = options.textAlign || 'center'; // Message alignment: 'left', 'center' or 'right'
+            this.richMessage = null; // RichText for the message with the markup or textEffects option
+            this.messageArea = { x: 0, y: 0, width: 0, height: 0 };
+            this.scrollY = 0;    // How far the message is scrolled
+            this.maxScroll = 0;  // Non-zero when the message is too long to show at once
+
+            this.padding = 20;
+            this.lineHeight = 25;
+            this.buttonHeight = options.buttonHeight || 50;
+            this.buttonWidth = options.buttonWidth || 150;
+            this.buttonSpacing = 20;
 
-        draw(ctx, isFocused) {
-            this.drawBase(ctx, isFocused);
+            // Content and buttons live in a screen of their own, which the manager makes
+            // live while this modal is on top
+            this.content = new Screen('modal');
+            this.content.manager = manager;
+            this.body = new VBox(0, 0, 0, 0, { padding: 0, gap: 10 });
+            this.buttonRow = new HBox(0, 0, 0, 0, { padding: 0, gap: this.buttonSpacing, justify: 'center' });
 
-            // Draw label
-            ctx.font = this.options.font;
-            ctx.fillStyle = this.options.textColor;
-            ctx.textAlign = 'left';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(this.label, this.x + this.options.padding, this.y + this.height / 2);
+            const content = options.content ? [].concat(options.content) : [];
+            for (let control of content) {
+                this.body.addChild(control);
+            }
+            this.buttonControls = this.buttons.map(button => this.buttonRow.addChild(
+                new Button(0, 0, this.buttonWidth, this.buttonHeight, button.label,
+                    () => this.runButton(button), this.getButtonStyle())
+            ));
+            this.content.addControl(this.body);
+            this.content.addControl(this.buttonRow);
+
+            // Focus starts on the first content control, or else the default button
+            const defaultIndex = this.buttons.findIndex(button => button.role === 'default');
+            if (defaultIndex > -1 && this.buttonControls.includes(this.controls[this.content.focusIndex])) {
+                this.content.focusIndex = this.controls.indexOf(this.buttonControls[defaultIndex]);
+            }
 
-            // Draw toggle switch
-            const switchWidth = 50;
-            const switchHeight = 25;
-            const switchX = this.x + this.width - switchWidth - this.options.padding;
-            const switchY = this.y + (this.height - switchHeight) / 2;
-            const switchRadius = this.options.borderRadius > 0 ? Math.min(switchHeight / 2, this.options.borderRadius) : switchHeight / 2;
+            this.localizeText();
+        }
 
-            // Switch background
-            ctx.fillStyle = this.value ? this.options.focusColor : '#999999';
-            drawRoundedRect(ctx, switchX, switchY, switchWidth, switchHeight, switchRadius);
-            ctx.fill();
+        get controls() {
+            return this.content.controls;
+        }
 
-            // Switch knob
-            const knobSize = 20;
-            const knobX = this.value ? switchX + switchWidth - knobSize - 2 : switchX + 2;
-            const knobY = switchY + 2.5;
-            const knobRadius = this.options.borderRadius > 0 ? Math.min(knobSize / 2, this.options.borderRadius) : knobSize / 2;
-            
-            ctx.fillStyle = '#ffffff';
-            drawRoundedRect(ctx, knobX, knobY, knobSize, knobSize, knobRadius);
-            ctx.fill();
+        // Resolve localized title, message and control text, then fit the modal to it
+        localizeText() {
+            this.manager.localizeFields(this, ['title', 'message']);
+            for (let control of this.controls) {
+                control.localizeText(this.manager);
+            }
+            this.layout();
         }
-    }
 
-// TextInput Control
-export class TextInput extends Control {
-        constructor(x, y, width, height, placeholder, options = {}) {
-            super(x, y, width, height, options);
-            this.placeholder = placeholder;
-            this.value = '';
-            this.cursorPos = 0;
-            this.cursorVisible = true;
-            this.cursorBlinkTime = 0;
+        // Title or message as RichText, for the markup and textEffects options
+        getRichText(text, font, color) {
+            return getRichText(this, text, {
+                font,
+                color,
+                markup: !!this.options.markup,
+                effects: this.options.textEffects || null,
+                lineHeight: this.lineHeight,
+                icons: this.manager.icons
+            });
         }
 
-        handleClick(x, y) {
-            // Calculate cursor position based on click
-            const textX = this.x + this.options.padding;
-            // For simplicity, just put cursor at end
-            this.cursorPos = this.value.length;
+        // Add a control under the message (layoutOptions as for Panel.addChild) and resize
+        addControl(control, layoutOptions = {}) {
+            this.body.addChild(control, layoutOptions);
+            this.layout();
+            return control;
         }
 
-        handleKeyDown(e) {
-            if (e.key === 'Backspace') {
-                if (this.cursorPos > 0) {
-                    this.value = this.value.slice(0, this.cursorPos - 1) + this.value.slice(this.cursorPos);
-                    this.cursorPos--;
-                }
-                e.preventDefault();
-            } else if (e.key === 'Delete') {
-                if (this.cursorPos < this.value.length) {
-                    this.value = this.value.slice(0, this.cursorPos) + this.value.slice(this.cursorPos + 1);
-                }
-                e.preventDefault();
-            } else if (e.key === 'ArrowLeft') {
-                this.cursorPos = Math.max(0, this.cursorPos - 1);
-                e.preventDefault();
-            } else if (e.key === 'ArrowRight') {
-                this.cursorPos = Math.min(this.value.length, this.cursorPos + 1);
-                e.preventDefault();
-            } else if (e.key === 'Home') {
-                this.cursorPos = 0;
-                e.preventDefault();
-            } else if (e.key === 'End') {
-                this.cursorPos = this.value.length;
-                e.preventDefault();
-            } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
-                this.value = this.value.slice(0, this.cursorPos) + e.key + this.value.slice(this.cursorPos);
-                this.cursorPos++;
-                e.preventDefault();
-            }
-            
-            this.cursorVisible = true;
-            this.cursorBlinkTime = 0;
+        removeControl(control) {
+            this.body.removeChild(control);
+            this.layout();
         }
 
-        update(deltaTime) {
-            this.cursorBlinkTime += deltaTime;
-            if (this.cursorBlinkTime >= 500) {
-                this.cursorVisible = !this.cursorVisible;
-                this.cursorBlinkTime = 0;
+        // Run a button's callback with this modal, then close unless it returned false
+        // (e.g. to keep a form open until it is valid)
+        runButton(button) {
+            const result = button.callback ? button.callback(this) : undefined;
+            if (result !== false) {
+                this.close();
             }
         }
 
-        draw(ctx, isFocused) {
-            this.drawBase(ctx, isFocused);
+        // Escape / B: press the button with role 'cancel' if there is one, otherwise just close
+        cancel() {
+            const button = this.buttons.find(b => b.role === 'cancel');
+            if (button) {
+                this.runButton(button);
+            } else {
+                this.close();
+            }
+        }
 
-            // Draw text or placeholder
-            ctx.font = this.options.font;
-            ctx.textAlign = 'left';
-            ctx.textBaseline = 'middle';
-            
-            const textX = this.x + this.options.padding;
-            const textY = this.y + this.height / 2;
+        // Confirm that no control used (e.g. Enter on a slider): press the button with
+        // role 'default'. Returns true if there was one.
+        submit() {
+            const button = this.buttons.find(b => b.role === 'default');
+            if (!button) return false;
+            this.runButton(button);
+            return true;
+        }
 
-            if (this.value) {
-                ctx.fillStyle = this.options.textColor;
-                ctx.fillText(this.value, textX, textY);
+        close() {
+            this.manager.closeModal(this);
+        }
 
-                // Draw cursor if focused
-                if (isFocused && this.cursorVisible) {
-                    const textBeforeCursor = this.value.slice(0, this.cursorPos);
-                    const cursorX = textX + ctx.measureText(textBeforeCursor).width;
-                    ctx.strokeStyle = this.options.textColor;
-                    ctx.lineWidth = 2;
-                    ctx.beginPath();
-                    ctx.moveTo(cursorX, this.y + this.options.padding);
-                    ctx.lineTo(cursorX, this.y + this.height - this.options.padding);
-                    ctx.stroke();
-                }
-            } else if (!isFocused) {
-                ctx.fillStyle = '#999999';
-                ctx.fillText(this.placeholder, textX, textY);
-            } else if (this.cursorVisible) {
-                // Draw cursor at start when empty
-                ctx.strokeStyle = this.options.textColor;
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.moveTo(textX, this.y + this.options.padding);
-                ctx.lineTo(textX, this.y + this.height - this.options.padding);
-                ctx.stroke();
-            }
+        // Scroll the message by a pixel delta; returns true if it can scroll at all
+        handleScroll(deltaX, deltaY) {
+            if (this.maxScroll <= 0) return false;
+            this.scrollY = Math.min(Math.max(this.scrollY + deltaY, 0), this.maxScroll);
+            return true;
         }
-    }
 
-    // Radio Control
-export class Radio extends Control {
-        constructor(x, y, width, itemHeight, options, selectedIndex, callback, opts = {}) {
-            const height = itemHeight * options.length;
-            super(x, y, width, height, opts);
-            this.itemHeight = itemHeight;
-            this.items = options;
-            this.selectedIndex = selectedIndex;
-            this.callback = callback;
+        // Scroll the message a page up (-1) or down (1), keeping a line of context
+        scrollPage(direction) {
+            const page = Math.max(this.messageArea.height - this.lineHeight, this.lineHeight);
+            return this.handleScroll(0, page * direction);
         }
 
-        handleClick(x, y) {
-            const index = Math.floor((y - this.y) / this.itemHeight);
-            if (index >= 0 && index < this.items.length) {
-                this.selectedIndex = index;
-                if (this.callback) {
-                    this.callback(this.selectedIndex, this.items[this.selectedIndex]);
+        // Size the modal to its message, content and buttons (unless given a width and
+        // height), center it and lay out its controls
+        layout() {
+            const viewport = this.manager.viewport;
+            const style = this.getStyle();
+            const padding = this.padding;
+            const width = this.options.width || Math.min(600, viewport.width * 0.8);
+            this.width = Math.min(width, viewport.width * 0.9);
+
+            // Word wrap message, keeping its line breaks and blank lines
+            const ctx = this.manager.ctx;
+            ctx.save();
+            ctx.font = style.messageFont;
+            const maxWidth = this.width - padding * 2;
+            this.lines = [];
+            this.richMessage = null;
+            if (this.message && (this.options.markup || this.options.textEffects)) {
+                this.richMessage = this.getRichText(this.message, style.messageFont, style.messageColor)
+                    .layout(ctx, maxWidth);
+                this.lines = this.richMessage.lines;
+            } else if (this.message) {
+                for (let paragraph of this.message.split('\n')) {
+                    let line = '';
+                    for (let word of paragraph.split(' ')) {
+                        const testLine = line + word + ' ';
+                        if (measureText(ctx, testLine).width > maxWidth && line !== '') {
+                            this.lines.push(line.trim());
+                            line = word + ' ';
+                        } else {
+                            line = testLine;
+                        }
+                    }
+                    this.lines.push(line.trim());
                 }
             }
+            ctx.restore();
+
+            const children = this.body.children;
+            const bodyHeight = children.reduce((sum, child) => sum + child.height, 0) +
+                Math.max(children.length - 1, 0) * this.body.options.gap;
+
+            // Title, message, content and buttons, each followed by a gap
+            const titleHeight = 80;
+            const textHeight = this.richMessage ? this.richMessage.height : this.lines.length * this.lineHeight;
+            const messageGap = this.lines.length > 0 ? padding : 0;
+            const contentHeight = children.length > 0 ? bodyHeight + padding : 0;
+            const buttonsHeight = this.buttonHeight + padding;
+            if (this.options.height) {
+                this.height = Math.min(this.options.height, viewport.height * 0.9);
+            } else {
+                this.height = Math.max(200, Math.min(titleHeight + textHeight + messageGap + contentHeight + buttonsHeight,
+                    viewport.height * 0.8));
+            }
+
+            this.x = viewport.x + (viewport.width - this.width) / 2;
+            this.y = viewport.y + (viewport.height - this.height) / 2;
+
+            // Text that doesn't fit scrolls within the space left over
+            const available = this.height - titleHeight - messageGap - contentHeight - buttonsHeight;
+            const messageHeight = Math.max(0, Math.min(textHeight, available));
+            this.messageArea = {
+                x: this.x + padding,
+                y: this.y + titleHeight,
+                width: this.width - padding * 2,
+                height: messageHeight
+            };
+            this.maxScroll = Math.max(0, textHeight - messageHeight);
+            this.scrollY = Math.min(this.scrollY, this.maxScroll);
+
+            this.body.setBounds(this.x + padding, this.y + titleHeight + messageHeight + messageGap,
+                this.width - padding * 2, bodyHeight);
+            this.buttonRow.setBounds(this.x + padding, this.y + this.height - this.buttonHeight - padding,
+                this.width - padding * 2, this.buttonHeight);
         }
 
-        handleKeyDown(e) {
-            if (e.key === 'ArrowUp') {
-                this.selectedIndex = (this.selectedIndex - 1 + this.items.length) % this.items.length;
-                if (this.callback) {
-                    this.callback(this.selectedIndex, this.items[this.selectedIndex]);
-                }
-                e.preventDefault();
-            } else if (e.key === 'ArrowDown') {
-                this.selectedIndex = (this.selectedIndex + 1) % this.items.length;
-                if (this.callback) {
-                    this.callback(this.selectedIndex, this.items[this.selectedIndex]);
-                }
-                e.preventDefault();
-            } else if (e.key === 'ArrowLeft') {
-                this.selectedIndex = (this.selectedIndex - 1 + this.items.length) % this.items.length;
-                if (this.callback) {
-                    this.callback(this.selectedIndex, this.items[this.selectedIndex]);
-                }
-                e.preventDefault();
-            } else if (e.key === 'ArrowRight') {
-                this.selectedIndex = (this.selectedIndex + 1) % this.items.length;
-                if (this.callback) {
-                    this.callback(this.selectedIndex, this.items[this.selectedIndex]);
-                }
-                e.preventDefault();
-            }
+        // The theme's modal style with this modal's overrides
+        getStyle() {
+            return { ...this.manager.theme.modal, ...this.style };
         }
 
-        handleGamepadLeft() {
-            this.selectedIndex = (this.selectedIndex - 1 + this.items.length) % this.items.length;
-            if (this.callback) {
-                this.callback(this.selectedIndex, this.items[this.selectedIndex]);
+        // Control options for the buttons, from the modal style
+        getButtonStyle() {
+            const style = this.getStyle();
+            return {
+                backgroundColor: style.buttonColor,
+                hoverColor: style.buttonHoverColor,
+                focusColor: style.buttonSelectedColor,
+                borderColor: style.buttonBorderColor,
+                textColor: style.buttonTextColor,
+                font: style.buttonFont,
+                borderRadius: style.buttonRadius,
+                ...(style.buttonSkin ? { skin: style.buttonSkin } : {})
+            };
+        }
+
+        // Restyle the controls after a theme change
+        applyTheme(theme) {
+            for (let control of this.controls) {
+                control.applyTheme(theme);
+            }
+            const buttonStyle = this.getButtonStyle();
+            for (let button of this.buttonControls) {
+                button.setStyle(buttonStyle);
             }
         }
 
-        handleGamepadRight() {
-            this.selectedIndex = (this.selectedIndex + 1) % this.items.length;
-            if (this.callback) {
-                this.callback(this.selectedIndex, this.items[this.selectedIndex]);
+        update(deltaTime) {
+            for (let control of this.controls) {
+                if (control.update) {
+                    control.update(deltaTime);
+                }
             }
         }
 
-        draw(ctx, isFocused) {
-            const radius = this.options.borderRadius;
+        draw(ctx) {
+            const style = this.getStyle();
+            const modalRadius = style.radius;
             
-            for (let i = 0; i < this.items.length; i++) {
-                const y = this.y + i * this.itemHeight;
-                const isSelected = i === this.selectedIndex;
-
-                // Background
-                ctx.fillStyle = this.options.backgroundColor;
-                ctx.fillRect(this.x, y, this.width, this.itemHeight);
-
-                // Radio button circle
-                const radioSize = 16;
-                const radioX = this.x + this.options.padding + radioSize / 2;
-                const radioY = y + this.itemHeight / 2;
+            // Draw overlay
+            const viewport = this.manager.viewport;
+            ctx.fillStyle = style.overlayColor;
+            ctx.fillRect(viewport.x, viewport.y, viewport.width, viewport.height);
+
+            // Draw the skin's frame, or else background and border
+            const frame = getSkinSprite(style.skin, [], this.manager.sprites);
+            if (frame) {
+                drawSprite(ctx, frame, this.x, this.y, this.width, this.height);
+            } else {
+                ctx.fillStyle = style.backgroundColor;
+                ctx.beginPath();
+                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, modalRadius);
+                ctx.fill();
 
-                ctx.strokeStyle = this.options.textColor;
-                ctx.lineWidth = 2;
+                ctx.strokeStyle = style.borderColor;
+                ctx.lineWidth = style.borderWidth;
                 ctx.beginPath();
-                ctx.arc(radioX, radioY, radioSize / 2, 0, Math.PI * 2);
+                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, modalRadius);
                 ctx.stroke();
+            }
 
-                // Fill if selected
-                if (isSelected) {
-                    ctx.fillStyle = this.options.focusColor;
-                    ctx.beginPath();
-                    ctx.arc(radioX, radioY, radioSize / 3, 0, Math.PI * 2);
-                    ctx.fill();
-                }
-
-                // Label
-                ctx.font = this.options.font;
-                ctx.fillStyle = this.options.textColor;
-                ctx.textAlign = 'left';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(this.items[i], radioX + radioSize, radioY);
+            // Draw title
+            ctx.font = style.titleFont;
+            ctx.fillStyle = style.titleColor;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            if (this.options.markup || this.options.textEffects) {
+                this.getRichText(this.title, style.titleFont, style.titleColor).layout(ctx)
+                    .draw(ctx, this.x + this.width / 2, this.y + 20, 'center', 'top');
+            } else {
+                fillText(ctx, this.title, this.x + this.width / 2, this.y + 20);
             }
 
-            // Draw outer border around entire control
-            ctx.strokeStyle = isFocused ? this.options.focusColor : this.options.borderColor;
-            ctx.lineWidth = this.options.borderWidth;
-            if (radius > 0) {
-                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
-                ctx.stroke();
+            // Draw message, clipped to its area and scrolled
+            const area = this.messageArea;
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(area.x, area.y, area.width, area.height);
+            ctx.clip();
+            ctx.font = style.messageFont;
+            ctx.fillStyle = style.messageColor;
+            // Left and right alignment swap when the text runs right to left
+            const rtl = this.manager.direction === 'rtl';
+            const align = this.textAlign === 'center' ? 'center'
+                : (this.textAlign === 'left') !== rtl ? 'left' : 'right';
+            ctx.textAlign = align;
+            const textX = align === 'left' ? area.x
+                : align === 'right' ? area.x + area.width
+                : area.x + area.width / 2;
+            if (this.richMessage) {
+                this.richMessage.draw(ctx, textX, area.y - this.scrollY, align, 'top');
             } else {
-                ctx.strokeRect(this.x, this.y, this.width, this.height);
+                const first = Math.floor(this.scrollY / this.lineHeight);
+                const last = Math.min(this.lines.length, Math.ceil((this.scrollY + area.height) / this.lineHeight));
+                for (let i = first; i < last; i++) {
+                    fillText(ctx, this.lines[i], textX, area.y + i * this.lineHeight - this.scrollY);
+                }
+            }
+            ctx.restore();
+
+            // Scrollbar in the right-hand margin
+            if (this.maxScroll > 0) {
+                const barX = this.x + this.width - this.padding / 2 - 3;
+                const thumbHeight = Math.max(20, area.height * area.height / (area.height + this.maxScroll));
+                const thumbY = area.y + (area.height - thumbHeight) * this.scrollY / this.maxScroll;
+                ctx.fillStyle = style.scrollbarTrackColor;
+                ctx.fillRect(barX, area.y, 6, area.height);
+                ctx.fillStyle = style.scrollbarColor;
+                ctx.fillRect(barX, thumbY, 6, thumbHeight);
             }
+
+            // Draw content and buttons
+            this.manager.drawScreen(ctx, this.content, this.manager.getFocusIndexOf(this.content));
         }
     }
 
-// Slider Control
-export class Slider extends Control {
-        constructor(x, y, width, height, min, max, value, step, label, callback, options = {}) {
-            super(x, y, width, height, options);
-            this.min = min;
-            this.max = max;
-            this.value = value;
-            this.step = step;
-            this.label = label;
-            this.callback = callback;
-            this.dragging = false;
+    // Toast Notification
+// Toast Notification class
+export class Toast {
+        constructor(manager, message, type = 'info', duration = 3000, options = {}) {
+            this.manager = manager;
+            this.message = message;
+            this.type = type;
+            this.duration = duration;   // ms of update time; 0 stays until dismissed
+            this.elapsed = 0;
+
+            // Overrides for the type's look; an icon of null leaves the icon out, and
+            // an image (or canvas) is drawn in place of the text icon
+            this.icon = options.icon;
+            this.color = options.color || null;
+            this.actions = options.actions || []; // [{ label, callback(toast) }]
+            this.dismissible = options.dismissible !== false; // Close when clicked
+            this.onDismiss = options.onDismiss || null;
+            this.markup = options.markup || false;          // Inline markup in the message (see RichText)
+            this.textEffects = options.textEffects || null; // { outline, shadow, gradient }
+            this.richMessage = null;
+
+            this.x = 0;
+            this.y = 0;
+            this.width = options.width || 300;
+            this.height = 80;
+            this.minHeight = 80;
+            this.padding = 15;
+            this.iconSize = 40;
+            this.lineHeight = 18;
+            this.actionHeight = 28;
+            this.actionSpacing = 8;
+            this.lines = [];
+            this.actionBounds = [];  // Action button rectangles, relative to the toast
+
+            this.alpha = 1;
+            this.offsetX = 0;    // Slide, animated when showing and hiding
+            this.offsetY = 0;
+            this.placed = false; // Given a slot in the stack yet
+            this.hovered = false;
+            this.hoverAction = -1;
+            this.focusedAction = -1; // Action picked with keys or a gamepad (see handleToastAction)
+            this.hiding = false;
+            this.measured = null;    // What the last measure() was for (see needsMeasure)
+
+            this.localizeText();
+        }
+
+        // Resolve a localized message and action labels (the manager measures afterwards)
+        localizeText() {
+            this.manager.localizeFields(this, ['message']);
+            for (let action of this.actions) {
+                this.manager.localizeFields(action, ['label']);
+            }
+            this.measured = null;
         }
 
-        handleClick(x, y) {
-            this.updateValueFromX(x);
+        // Whether the message, theme or text direction changed since the last measure()
+        needsMeasure() {
+            const measured = this.measured;
+            return !measured || measured.message !== this.message ||
+                measured.theme !== this.manager.theme || measured.direction !== this.manager.direction;
         }
 
-        handleKeyDown(e) {
-            if (e.key === 'ArrowLeft') {
-                this.value = Math.max(this.min, this.value - this.step);
-                if (this.callback) {
-                    this.callback(this.value);
-                }
-                e.preventDefault();
-            } else if (e.key === 'ArrowRight') {
-                this.value = Math.min(this.max, this.value + this.step);
-                if (this.callback) {
-                    this.callback(this.value);
-                }
-                e.preventDefault();
-            }
+        // Color and icon from the theme's toast types, with this toast's overrides
+        getConfig() {
+            const types = this.manager.theme.toast.types;
+            const config = types[this.type] || types.info;
+            return {
+                color: this.color || config.color,
+                icon: this.icon !== undefined ? this.icon : config.icon,
+                skin: config.skin || this.manager.theme.toast.skin
+            };
         }
 
-        handleGamepadAxis(direction) {
-            if (direction < 0) {
-                this.value = Math.max(this.min, this.value - this.step);
+        // Count down while on screen, holding while hovered. Returns true once expired.
+        update(deltaTime) {
+            if (this.hiding || this.hovered || this.focusedAction > -1 || !this.duration) return false;
+            this.elapsed += deltaTime;
+            return this.elapsed >= this.duration;
+        }
+
+        // Fraction of the lifetime left, from 1 down to 0
+        getRemaining() {
+            if (!this.duration) return 1;
+            return Math.max(0, 1 - this.elapsed / this.duration);
+        }
+
+        // Wrap the message and size the toast to fit it and its action buttons
+        measure(ctx) {
+            const style = this.manager.theme.toast;
+            const iconSpace = this.getConfig().icon ? this.iconSize + this.padding : 0;
+            const maxWidth = this.width - iconSpace - this.padding * 2;
+
+            ctx.save();
+            ctx.font = style.font;
+            this.lines = [];
+            this.richMessage = null;
+            if (this.markup || this.textEffects) {
+                this.richMessage = getRichText(this, this.message, {
+                    font: style.font,
+                    color: style.textColor,
+                    markup: this.markup,
+                    effects: this.textEffects,
+                    lineHeight: this.lineHeight,
+                    icons: this.manager.icons
+                }).layout(ctx, maxWidth);
+                this.lines = this.richMessage.lines;
             } else {
-                this.value = Math.min(this.max, this.value + this.step);
+                for (let paragraph of String(this.message).split('\n')) {
+                    let line = '';
+                    for (let word of paragraph.split(' ')) {
+                        const testLine = line + word + ' ';
+                        if (measureText(ctx, testLine).width > maxWidth && line !== '') {
+                            this.lines.push(line.trim());
+                            line = word + ' ';
+                        } else {
+                            line = testLine;
+                        }
+                    }
+                    this.lines.push(line.trim());
+                }
             }
-            if (this.callback) {
-                this.callback(this.value);
+
+            // Action buttons sit in a row along the bottom right (left, right to left)
+            const textHeight = this.richMessage ? this.richMessage.height : this.lines.length * this.lineHeight;
+            const actionsHeight = this.actions.length > 0 ? this.actionHeight + this.actionSpacing : 0;
+            this.height = Math.max(this.minHeight, textHeight + actionsHeight + this.padding * 2);
+
+            ctx.font = style.actionFont;
+            this.actionBounds = [];
+            let right = this.width - this.padding;
+            for (let i = this.actions.length - 1; i >= 0; i--) {
+                const width = measureText(ctx, this.actions[i].label).width + 20;
+                right -= width;
+                this.actionBounds[i] = {
+                    x: this.manager.direction === 'rtl' ? this.width - right - width : right,
+                    y: this.height - this.padding - this.actionHeight,
+                    width,
+                    height: this.actionHeight
+                };
+                right -= this.actionSpacing;
             }
+            ctx.restore();
+            this.measured = { message: this.message, theme: this.manager.theme, direction: this.manager.direction };
         }
 
-        updateValueFromX(x) {
-            const sliderX = this.x + this.options.padding;
-            const sliderWidth = this.width - this.options.padding * 2;
-            const percent = Math.max(0, Math.min(1, (x - sliderX) / sliderWidth));
-            
-            let newValue = this.min + percent * (this.max - this.min);
-            newValue = Math.round(newValue / this.step) * this.step;
-            newValue = Math.max(this.min, Math.min(this.max, newValue));
-            
-            if (newValue !== this.value) {
-                this.value = newValue;
-                if (this.callback) {
-                    this.callback(this.value);
-                }
-            }
+        containsPoint(x, y) {
+            const left = this.x + this.offsetX;
+            const top = this.y + this.offsetY;
+            return x >= left && x <= left + this.width && y >= top && y <= top + this.height;
         }
 
-        draw(ctx, isFocused) {
-            this.drawBase(ctx, isFocused);
+        // Index of the action button under a point, or -1
+        getActionAt(x, y) {
+            const left = this.x + this.offsetX;
+            const top = this.y + this.offsetY;
+            return this.actionBounds.findIndex(b =>
+                x >= left + b.x && x <= left + b.x + b.width &&
+                y >= top + b.y && y <= top + b.y + b.height);
+        }
 
-            // Draw label
-            ctx.font = this.options.font;
-            ctx.fillStyle = this.options.textColor;
-            ctx.textAlign = 'left';
-            ctx.textBaseline = 'top';
-            ctx.fillText(this.label, this.x + this.options.padding, this.y + this.options.padding);
+        // Run the action clicked, if any, then close
+        handleClick(x, y) {
+            const index = this.getActionAt(x, y);
+            if (index !== -1) {
+                this.runAction(index);
+            } else if (this.dismissible) {
+                this.manager.hideToast(this);
+            }
+        }
 
-            // Draw slider track
-            const trackY = this.y + this.height / 2;
-            const trackX = this.x + this.options.padding;
-            const trackWidth = this.width - this.options.padding * 2;
-            const trackHeight = 4;
-            const trackRadius = this.options.borderRadius > 0 ? Math.min(trackHeight / 2, this.options.borderRadius / 2) : trackHeight / 2;
+        runAction(index) {
+            const action = this.actions[index];
+            if (action.callback) {
+                action.callback(this);
+            }
+            this.manager.hideToast(this);
+        }
 
-            ctx.fillStyle = '#666666';
-            drawRoundedRect(ctx, trackX, trackY - trackHeight / 2, trackWidth, trackHeight, trackRadius);
-            ctx.fill();
+        draw(ctx) {
+            const style = this.manager.theme.toast;
+            const config = this.getConfig();
+            const x = this.x + this.offsetX;
+            const y = this.y + this.offsetY;
+
+            // Background: the skin, or a fill with a border in the type's color
+            const skin = getSkinSprite(config.skin, this.hovered ? ['hover'] : [], this.manager.sprites);
+            if (skin) {
+                drawSprite(ctx, skin, x, y, this.width, this.height);
+            } else {
+                ctx.fillStyle = style.backgroundColor;
+                ctx.fillRect(x, y, this.width, this.height);
+            }
 
-            // Draw filled portion
-            const percent = (this.value - this.min) / (this.max - this.min);
-            ctx.fillStyle = this.options.focusColor;
-            drawRoundedRect(ctx, trackX, trackY - trackHeight / 2, trackWidth * percent, trackHeight, trackRadius);
-            ctx.fill();
+            // Time left, shrinking along the bottom edge
+            if (this.duration && style.progressHeight > 0) {
+                const inset = style.borderWidth / 2;
+                ctx.fillStyle = config.color;
+                ctx.fillRect(x + inset, y + this.height - inset - style.progressHeight,
+                    (this.width - inset * 2) * this.getRemaining(), style.progressHeight);
+            }
 
-            // Draw slider knob
-            const knobSize = 20;
-            const knobX = trackX + trackWidth * percent - knobSize / 2;
-            const knobY = trackY - knobSize / 2;
-            const knobRadius = this.options.borderRadius > 0 ? Math.min(knobSize / 2, this.options.borderRadius) : knobSize / 2;
+            if (!skin) {
+                ctx.strokeStyle = config.color;
+                ctx.lineWidth = style.borderWidth;
+                ctx.strokeRect(x, y, this.width, this.height);
+            }
 
-            ctx.fillStyle = isFocused ? this.options.focusColor : '#ffffff';
-            drawRoundedRect(ctx, knobX, knobY, knobSize, knobSize, knobRadius);
-            ctx.fill();
-            
-            ctx.strokeStyle = this.options.textColor;
-            ctx.lineWidth = 2;
-            drawRoundedRect(ctx, knobX, knobY, knobSize, knobSize, knobRadius);
-            ctx.stroke();
+            // Text and icon are centered vertically above the action buttons
+            const actionsHeight = this.actions.length > 0 ? this.actionHeight + this.actionSpacing : 0;
+            const contentHeight = this.height - actionsHeight;
+            // Right to left, the icon and text start from the right-hand edge
+            const rtl = this.manager.direction === 'rtl';
+            const flip = (px) => rtl ? x + this.width - (px - x) : px;
+            let messageX = x + this.padding;
+
+            if (config.icon) {
+                const iconX = flip(x + this.padding + this.iconSize / 2);
+                const iconY = y + contentHeight / 2;
+
+                if (typeof config.icon === 'string') {
+                    // Icon circle
+                    ctx.fillStyle = config.color;
+                    ctx.beginPath();
+                    ctx.arc(iconX, iconY, this.iconSize / 2, 0, Math.PI * 2);
+                    ctx.fill();
 
-            // Draw value
-            ctx.font = this.options.font;
-            ctx.fillStyle = this.options.textColor;
-            ctx.textAlign = 'right';
-            ctx.textBaseline = 'bottom';
-            ctx.fillText(this.value.toString(), this.x + this.width - this.options.padding, this.y + this.height - this.options.padding);
-        }
-    }
+                    ctx.font = style.iconFont;
+                    ctx.fillStyle = style.iconColor;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    fillText(ctx, config.icon, iconX, iconY);
+                } else {
+                    ctx.drawImage(config.icon, iconX - this.iconSize / 2, iconY - this.iconSize / 2,
+                        this.iconSize, this.iconSize);
+                }
+                messageX += this.iconSize + this.padding;
+            }
 
-// Panel Control - for grouping other controls with a background
-export class Panel extends Control {
-        constructor(x, y, width, height, options = {}) {
-            super(x, y, width, height, options);
-        }
+            // Message
+            ctx.font = style.font;
+            ctx.fillStyle = style.textColor;
+            ctx.textAlign = rtl ? 'right' : 'left';
+            ctx.textBaseline = 'middle';
 
-        draw(ctx, isFocused) {
-            const radius = this.options.borderRadius;
-            
-            // Background
-            ctx.fillStyle = this.options.backgroundColor;
-            if (radius > 0) {
-                drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
-                ctx.fill();
+            if (this.richMessage) {
+                this.richMessage.draw(ctx, flip(messageX), y + (contentHeight - this.richMessage.height) / 2,
+                    rtl ? 'right' : 'left', 'top');
             } else {
-                ctx.fillRect(this.x, this.y, this.width, this.height);
+                const totalHeight = this.lines.length * this.lineHeight;
+                let messageY = y + (contentHeight - totalHeight) / 2 + this.lineHeight / 2;
+                for (let line of this.lines) {
+                    fillText(ctx, line, flip(messageX), messageY);
+                    messageY += this.lineHeight;
+                }
             }
 
-            // Optional border
-            if (this.options.borderWidth > 0) {
-                ctx.strokeStyle = this.options.borderColor;
-                ctx.lineWidth = this.options.borderWidth;
-                if (radius > 0) {
-                    drawRoundedRect(ctx, this.x, this.y, this.width, this.height, radius);
-                    ctx.stroke();
-                } else {
-                    ctx.strokeRect(this.x, this.y, this.width, this.height);
+            // Action buttons
+            ctx.font = style.actionFont;
+            ctx.textAlign = 'center';
+            for (let i = 0; i < this.actions.length; i++) {
+                const bounds = this.actionBounds[i];
+                if (!bounds) continue;
+                const focused = i === this.focusedAction;
+                ctx.fillStyle = i === this.hoverAction || focused ? style.actionHoverColor : style.actionColor;
+                ctx.fillRect(x + bounds.x, y + bounds.y, bounds.width, bounds.height);
+                if (focused) {
+                    const ring = this.manager.theme.focusRing;
+                    ctx.strokeStyle = ring.color;
+                    ctx.lineWidth = ring.width;
+                    ctx.strokeRect(x + bounds.x, y + bounds.y, bounds.width, bounds.height);
                 }
+                ctx.fillStyle = style.actionTextColor;
+                fillText(ctx, this.actions[i].label, x + bounds.x + bounds.width / 2, y + bounds.y + bounds.height / 2);
             }
         }
-
-        // Panels don't receive focus or input
-        containsPoint(x, y) {
-            return false;
-        }
     }
 
-    // Modal Dialog
-// Modal Dialog class
-export class Modal {
-        constructor(manager, title, message, buttons = [], options = {}) {
+// Visually hidden DOM copy of the live controls for screen readers (see the accessibility
+// option). Each control describes itself with getAccessibleInfo(); the mirror turns that
+// into elements with ARIA roles, keeps DOM focus on the focused control's element and
+// announces messages through live regions.
+export class AccessibilityMirror {
+        constructor(manager) {
             this.manager = manager;
-            this.title = title;
-            this.message = message;
-            this.buttons = buttons.length > 0 ? buttons : [{ label: 'OK', callback: () => this.close() }];
-            this.selectedButton = 0;
+            this.elements = new Map();   // Control, text, image or modal -> its element
+            this.focusedElement = null;  // Element holding the roving tabindex
+            this.canvasRect = null;      // The canvas's client rect for the current sync()
+            this.lastAnnouncement = '';
+
+            // role="application" lets arrow keys and Enter through to the UI's own handling
+            this.root = document.createElement('div');
+            this.root.setAttribute('role', 'application');
+            const label = manager.canvas.getAttribute && manager.canvas.getAttribute('aria-label');
+            if (label) {
+                this.root.setAttribute('aria-label', label);
+            }
+            Object.assign(this.root.style, {
+                position: 'fixed',
+                left: '0px',
+                top: '0px',
+                width: '0px',
+                height: '0px',
+                overflow: 'visible'
+            });
 
-            // Calculate dimensions - allow custom sizing
-            const canvas = manager.canvas;
-            this.overlayAlpha = 0.7;
-            
-            // Use provided dimensions or calculate based on content
-            if (options.width && options.height) {
-                this.width = Math.min(options.width, canvas.width * 0.9);
-                this.height = Math.min(options.height, canvas.height * 0.9);
+            this.screenElement = document.createElement('div');
+            this.root.appendChild(this.screenElement);
+            this.dialogElement = null;
+            this.politeRegion = this.createLiveRegion('polite');
+            this.assertiveRegion = this.createLiveRegion('assertive');
+
+            // Next to the canvas so the reading order matches the page
+            const parent = manager.canvas.parentNode;
+            if (parent) {
+                parent.insertBefore(this.root, manager.canvas.nextSibling);
             } else {
-                // Auto-size based on content
-                const ctx = canvas.getContext('2d');
-                ctx.font = '18px Arial';
-                const words = message.split(' ');
-                const maxWidth = Math.min(600, canvas.width * 0.8) - 40;
-                let lineCount = 1;
-                let line = '';
-                
-                for (let word of words) {
-                    const testLine = line + word + ' ';
-                    const metrics = ctx.measureText(testLine);
-                    if (metrics.width > maxWidth && line !== '') {
-                        lineCount++;
-                        line = word + ' ';
-                    } else {
-                        line = testLine;
-                    }
-                }
-                
-                // Calculate height based on content
-                const titleHeight = 60;
-                const messageHeight = lineCount * 25 + 40;
-                const buttonsHeight = 90;
-                const minHeight = 200;
-                
-                this.height = Math.max(minHeight, Math.min(titleHeight + messageHeight + buttonsHeight, canvas.height * 0.8));
-                this.width = Math.min(600, canvas.width * 0.8);
+                document.body.appendChild(this.root);
             }
-            
-            this.x = (canvas.width - this.width) / 2;
-            this.y = (canvas.height - this.height) / 2;
+        }
 
-            this.buttonHeight = 50;
-            this.buttonWidth = 150;
-            this.buttonSpacing = 20;
+        createLiveRegion(politeness) {
+            const region = document.createElement('div');
+            region.setAttribute('aria-live', politeness);
+            region.setAttribute('aria-atomic', 'true');
+            region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+            Object.assign(region.style, VISUALLY_HIDDEN_STYLE);
+            this.root.appendChild(region);
+            return region;
         }
 
-        handleClick(x, y) {
-            // Check if clicking on buttons
-            const buttonsY = this.y + this.height - this.buttonHeight - 20;
-            const totalButtonWidth = this.buttons.length * this.buttonWidth + (this.buttons.length - 1) * this.buttonSpacing;
-            const startX = this.x + (this.width - totalButtonWidth) / 2;
-
-            for (let i = 0; i < this.buttons.length; i++) {
-                const buttonX = startX + i * (this.buttonWidth + this.buttonSpacing);
-                if (x >= buttonX && x <= buttonX + this.buttonWidth &&
-                    y >= buttonsY && y <= buttonsY + this.buttonHeight) {
-                    if (this.buttons[i].callback) {
-                        this.buttons[i].callback();
+        // Read a message out. politeness: 'polite' waits for the reader to finish, 'assertive' interrupts.
+        announce(message, politeness = 'polite') {
+            const region = politeness === 'assertive' ? this.assertiveRegion : this.politeRegion;
+            // A changed text is what makes the reader speak, so repeats get a trailing space
+            const text = String(message) === this.lastAnnouncement ? `${message} ` : String(message);
+            region.textContent = text;
+            this.lastAnnouncement = text;
+        }
+
+        // Bring the elements in line with the live screen or top modal. Called every update.
+        sync() {
+            const manager = this.manager;
+            const screen = manager.getCurrentScreen();
+            const modal = manager.modals[manager.modals.length - 1] || null;
+            const seen = new Set();
+            this.canvasRect = manager.canvas.getBoundingClientRect(); // Read once for every place()
+
+            this.setAttribute(this.root, 'lang', manager.locale);
+            this.setAttribute(this.root, 'dir', manager.direction);
+
+            this.syncChildren(this.screenElement, [
+                ...screen.texts,
+                ...screen.images.filter(image => image.alt),
+                ...screen.controls.filter(control => !control.parent)
+            ], seen);
+
+            // The screen under a modal is out of reach, as it is for the keyboard
+            this.setAttribute(this.screenElement, 'aria-hidden', modal ? 'true' : null);
+            this.setAttribute(this.screenElement, 'inert', modal ? '' : null);
+
+            if (modal) {
+                const dialog = this.syncDialog(modal, seen);
+                if (this.dialogElement !== dialog) {
+                    if (this.dialogElement) {
+                        this.dialogElement.remove();
                     }
-                    this.close();
-                    return;
+                    this.root.insertBefore(dialog, this.politeRegion);
+                    this.dialogElement = dialog;
+                }
+            } else if (this.dialogElement) {
+                this.dialogElement.remove();
+                this.dialogElement = null;
+            }
+
+            for (let item of [...this.elements.keys()]) {
+                if (!seen.has(item)) {
+                    this.elements.delete(item);
                 }
             }
+
+            this.syncFocus();
         }
 
-        handleKeyDown(e) {
-            if (e.key === 'ArrowLeft') {
-                this.selectedButton = (this.selectedButton - 1 + this.buttons.length) % this.buttons.length;
-                e.preventDefault();
-            } else if (e.key === 'ArrowRight') {
-                this.selectedButton = (this.selectedButton + 1) % this.buttons.length;
-                e.preventDefault();
-            } else if (e.key === 'Enter' || e.key === ' ') {
-                if (this.buttons[this.selectedButton].callback) {
-                    this.buttons[this.selectedButton].callback();
+        // Place elements for items (controls, texts, images) in a container, in order
+        syncChildren(container, items, seen) {
+            items.forEach((item, i) => {
+                const element = this.getElement(item);
+                seen.add(item);
+                if (item instanceof Control) {
+                    this.syncControl(element, item, seen);
+                } else {
+                    this.syncStatic(element, item);
                 }
-                this.close();
-                e.preventDefault();
-            } else if (e.key === 'Escape') {
-                // Find and activate Exit/Close button, or close if none found
-                const exitButton = this.buttons.find(b => 
-                    b.label.toLowerCase() === 'exit' || 
-                    b.label.toLowerCase() === 'close' ||
-                    b.label.toLowerCase() === 'cancel'
-                );
-                if (exitButton && exitButton.callback) {
-                    exitButton.callback();
+                if (container.children[i] !== element) {
+                    container.insertBefore(element, container.children[i] || null);
                 }
-                this.close();
-                e.preventDefault();
+            });
+            while (container.children.length > items.length) {
+                container.removeChild(container.children[container.children.length - 1]);
             }
         }
 
-        handleGamepadButton(buttonIndex) {
-            // Button 0 (A/Cross) = Select current button
-            if (buttonIndex === 0) {
-                if (this.buttons[this.selectedButton].callback) {
-                    this.buttons[this.selectedButton].callback();
+        getElement(item) {
+            let element = this.elements.get(item);
+            if (!element) {
+                element = document.createElement('div');
+                element.itemElements = [];
+                Object.assign(element.style, MIRROR_ELEMENT_STYLE);
+                if (item instanceof Control) {
+                    element.addEventListener('focus', () => this.handleElementFocus(item));
+                    element.addEventListener('click', (e) => this.handleElementClick(item, e));
                 }
-                this.close();
+                this.elements.set(item, element);
             }
-            // Button 1 (B/Circle) = Exit/Cancel like ESC
-            else if (buttonIndex === 1) {
-                const exitButton = this.buttons.find(b => 
-                    b.label.toLowerCase() === 'exit' || 
-                    b.label.toLowerCase() === 'close' ||
-                    b.label.toLowerCase() === 'cancel'
-                );
-                if (exitButton && exitButton.callback) {
-                    exitButton.callback();
+            return element;
+        }
+
+        syncStatic(element, item) {
+            if (item.image) {
+                this.setAttribute(element, 'role', 'img');
+                this.setAttribute(element, 'aria-label', item.alt);
+            } else {
+                const text = item.markup ? stripMarkup(item.text) : item.text;
+                if (element.textContent !== text) {
+                    element.textContent = text;
                 }
-                this.close();
-            }
-            // Button 14 = D-pad left
-            else if (buttonIndex === 14) {
-                this.selectedButton = (this.selectedButton - 1 + this.buttons.length) % this.buttons.length;
-            }
-            // Button 15 = D-pad right
-            else if (buttonIndex === 15) {
-                this.selectedButton = (this.selectedButton + 1) % this.buttons.length;
             }
+            this.place(element, item);
         }
 
-        close() {
-            this.manager.closeModal(this);
+        syncControl(element, control, seen) {
+            const info = control.getAccessibleInfo();
+            this.applyInfo(element, info);
+            this.setAttribute(element, 'aria-disabled', control.disabled ? 'true' : null);
+            this.place(element, control);
+
+            if (info.items) {
+                this.syncItems(element, control, info);
+            } else if (control.children) {
+                this.syncChildren(element, control.children, seen);
+            } else if (info.role === 'textbox') {
+                if (element.textContent !== info.value) {
+                    element.textContent = info.value;
+                }
+            }
         }
 
-        draw(ctx) {
-            const modalRadius = 10; // Fixed radius for modals
-            const buttonRadius = 5; // Radius for modal buttons
-            
-            // Draw overlay
-            ctx.fillStyle = `rgba(0, 0, 0, ${this.overlayAlpha})`;
-            ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        // Options of a Menu or Radio, one element each
+        syncItems(element, control, info) {
+            const elements = element.itemElements;
+            while (elements.length < info.items.length) {
+                const index = elements.length;
+                const item = document.createElement('div');
+                Object.assign(item.style, MIRROR_ELEMENT_STYLE);
+                item.addEventListener('focus', () => this.handleElementFocus(control));
+                item.addEventListener('click', (e) => this.handleElementClick(control, e, index));
+                element.appendChild(item);
+                elements.push(item);
+            }
+            while (elements.length > info.items.length) {
+                element.removeChild(elements.pop());
+            }
+            info.items.forEach((itemInfo, i) => {
+                this.applyInfo(elements[i], itemInfo);
+                if (itemInfo.bounds) {
+                    this.place(elements[i], itemInfo.bounds);
+                }
+            });
+        }
 
-            // Draw modal background
-            ctx.fillStyle = '#2a2a2a';
-            drawRoundedRect(ctx, this.x, this.y, this.width, this.height, modalRadius);
-            ctx.fill();
+        syncDialog(modal, seen) {
+            const dialog = this.getElement(modal);
+            seen.add(modal);
+            if (!dialog.titleElement) {
+                dialog.setAttribute('role', 'dialog');
+                dialog.setAttribute('aria-modal', 'true');
+                dialog.titleElement = document.createElement('div');
+                dialog.messageElement = document.createElement('div');
+                dialog.contentElement = document.createElement('div');
+                dialog.appendChild(dialog.titleElement);
+                dialog.appendChild(dialog.messageElement);
+                dialog.appendChild(dialog.contentElement);
+                dialog.titleElement.id = nextAccessibleId();
+                dialog.messageElement.id = nextAccessibleId();
+                dialog.setAttribute('aria-labelledby', dialog.titleElement.id);
+                dialog.setAttribute('aria-describedby', dialog.messageElement.id);
+            }
+            const title = modal.options.markup ? stripMarkup(modal.title) : modal.title;
+            const message = modal.options.markup ? stripMarkup(modal.message) : modal.message;
+            if (dialog.titleElement.textContent !== title) {
+                dialog.titleElement.textContent = title;
+            }
+            if (dialog.messageElement.textContent !== message) {
+                dialog.messageElement.textContent = message;
+            }
+            this.place(dialog, modal);
+            this.syncChildren(dialog.contentElement, modal.controls.filter(control => !control.parent), seen);
+            return dialog;
+        }
 
-            // Draw border
-            ctx.strokeStyle = '#4CAF50';
-            ctx.lineWidth = 3;
-            drawRoundedRect(ctx, this.x, this.y, this.width, this.height, modalRadius);
-            ctx.stroke();
+        // Turn getAccessibleInfo() fields into ARIA attributes
+        applyInfo(element, info) {
+            const range = info.role === 'slider';
+            this.setAttribute(element, 'role', info.role || null);
+            this.setAttribute(element, 'aria-label', this.manager.resolveText(info.label) || null);
+            this.setAttribute(element, 'aria-checked', info.checked !== undefined ? String(info.checked) : null);
+            this.setAttribute(element, 'aria-selected', info.selected !== undefined ? String(info.selected) : null);
+            this.setAttribute(element, 'aria-orientation', info.orientation || null);
+            this.setAttribute(element, 'aria-valuenow', range ? String(info.value) : null);
+            this.setAttribute(element, 'aria-valuemin', range ? String(info.min) : null);
+            this.setAttribute(element, 'aria-valuemax', range ? String(info.max) : null);
+            this.setAttribute(element, 'aria-valuetext', info.valueText || null);
+            this.setAttribute(element, 'aria-placeholder', info.placeholder || null);
+            this.setAttribute(element, 'aria-invalid', info.invalid ? 'true' : null);
+            this.setAttribute(element, 'aria-description', info.description || null);
+            this.setAttribute(element, 'aria-pressed', info.pressed !== undefined ? String(info.pressed) : null);
+        }
 
-            // Draw title
-            ctx.font = 'bold 24px Arial';
-            ctx.fillStyle = '#ffffff';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'top';
-            ctx.fillText(this.title, this.x + this.width / 2, this.y + 20);
+        // Only touch the DOM when a value changes, so readers don't re-announce
+        setAttribute(element, name, value) {
+            if (value === null) {
+                if (element.getAttribute(name) !== null) {
+                    element.removeAttribute(name);
+                }
+            } else if (element.getAttribute(name) !== value) {
+                element.setAttribute(name, value);
+            }
+        }
 
-            // Draw message
-            ctx.font = '18px Arial';
-            ctx.fillStyle = '#cccccc';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'top';
-            
-            // Word wrap message
-            const maxWidth = this.width - 40;
-            const lineHeight = 25;
-            const words = this.message.split(' ');
-            let line = '';
-            let y = this.y + 80;
-
-            for (let word of words) {
-                const testLine = line + word + ' ';
-                const metrics = ctx.measureText(testLine);
-                if (metrics.width > maxWidth && line !== '') {
-                    ctx.fillText(line, this.x + this.width / 2, y);
-                    line = word + ' ';
-                    y += lineHeight;
-                } else {
-                    line = testLine;
+        // Cover the item's area of the canvas, for readers that outline the focus or explore by touch
+        place(element, bounds) {
+            const rect = this.canvasRect;
+            const topLeft = this.manager.canvasToClient(bounds.x, bounds.y, rect);
+            const bottomRight = this.manager.canvasToClient(bounds.x + (bounds.width || 0), bounds.y + (bounds.height || 0), rect);
+            const style = {
+                left: `${Math.round(topLeft.x)}px`,
+                top: `${Math.round(topLeft.y)}px`,
+                width: `${Math.round(bottomRight.x - topLeft.x)}px`,
+                height: `${Math.round(bottomRight.y - topLeft.y)}px`
+            };
+            for (let key of Object.keys(style)) {
+                if (element.style[key] !== style[key]) {
+                    element.style[key] = style[key];
                 }
             }
-            ctx.fillText(line, this.x + this.width / 2, y);
+        }
 
-            // Draw buttons
-            const buttonsY = this.y + this.height - this.buttonHeight - 20;
-            const totalButtonWidth = this.buttons.length * this.buttonWidth + (this.buttons.length - 1) * this.buttonSpacing;
-            const startX = this.x + (this.width - totalButtonWidth) / 2;
+        // Element that should hold DOM focus for a control: its active item, if it has items
+        getFocusTarget(control) {
+            const element = this.elements.get(control);
+            if (!element) return null;
+            const info = control.getAccessibleInfo();
+            if (info.items && info.activeItem > -1) {
+                return element.itemElements[info.activeItem] || element;
+            }
+            return element;
+        }
 
-            for (let i = 0; i < this.buttons.length; i++) {
-                const buttonX = startX + i * (this.buttonWidth + this.buttonSpacing);
+        // Move the roving tabindex, and DOM focus while the UI has it, to the focused control
+        syncFocus() {
+            const manager = this.manager;
+            const control = manager.getFocusedControl();
+            const target = control ? this.getFocusTarget(control) : null;
+            const previous = this.focusedElement;
+            if (target === previous) return;
 
-                // Button background
-                ctx.fillStyle = i === this.selectedButton ? '#4CAF50' : '#444444';
-                drawRoundedRect(ctx, buttonX, buttonsY, this.buttonWidth, this.buttonHeight, buttonRadius);
-                ctx.fill();
+            if (previous) {
+                previous.tabIndex = -1;
+            }
+            this.focusedElement = target;
+            if (!target) return;
+            target.tabIndex = 0;
+
+            // A TextInput's typing goes through the IME input, which takes DOM focus itself.
+            // The previous element may have just left the page with a closed modal, taking
+            // DOM focus with it.
+            const usesTextInputElement = control instanceof TextInput && manager.options.imeInput;
+            const lostWithPrevious = previous && !previous.isConnected && document.activeElement === document.body;
+            if (!usesTextInputElement && (this.hasFocus() || document.activeElement === previous || lostWithPrevious)) {
+                this.focusing = true;
+                target.focus({ preventScroll: true });
+                this.focusing = false;
+            }
+        }
 
-                // Button border
-                ctx.strokeStyle = '#666666';
-                ctx.lineWidth = 2;
-                drawRoundedRect(ctx, buttonX, buttonsY, this.buttonWidth, this.buttonHeight, buttonRadius);
-                ctx.stroke();
+        // Whether DOM focus is on the canvas or the mirror; an idle page (focus on the
+        // body) doesn't count, so enabling the mirror never pulls focus into it
+        hasFocus() {
+            return this.manager.hasDOMFocus();
+        }
 
-                // Button label
-                ctx.font = '16px Arial';
-                ctx.fillStyle = '#ffffff';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(this.buttons[i].label, buttonX + this.buttonWidth / 2, buttonsY + this.buttonHeight / 2);
+        // A reader moved focus to an element: follow it with the UI's focus
+        handleElementFocus(control) {
+            if (this.focusing) return;
+            const index = this.manager.controls.indexOf(control);
+            if (index > -1 && control.focusable && this.manager.focusIndex !== index) {
+                this.manager.focusIndex = index;
+                this.manager.syncFocus();
             }
         }
+
+        // A reader activated an element (e.g. a double tap): act as if it was pressed
+        handleElementClick(control, e, itemIndex = -1) {
+            const manager = this.manager;
+            if (!manager.controls.includes(control) || control.disabled) return;
+            e.preventDefault();
+            manager.withInputSource({ source: 'keyboard' }, () => {
+                manager.focusIndex = manager.controls.indexOf(control);
+                if (itemIndex > -1 && control.activateItem) {
+                    control.activateItem(itemIndex);
+                } else if (control.activate) {
+                    control.activate();
+                }
+            });
+        }
+
+        destroy() {
+            this.root.remove();
+            this.elements.clear();
+        }
     }
 
-    // Toast Notification
-// Toast Notification class
-export class Toast {
-        constructor(manager, message, type, duration) {
-            this.manager = manager;
-            this.message = message;
-            this.type = type;
-            this.duration = duration;
+const VISUALLY_HIDDEN_STYLE = {
+    position: 'fixed',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden',
+    clipPath: 'inset(50%)',
+    whiteSpace: 'nowrap'
+};
+
+// Mirrored elements sit over what they stand for but can't be seen or clicked
+const MIRROR_ELEMENT_STYLE = {
+    position: 'fixed',
+    opacity: '0',
+    overflow: 'hidden',
+    pointerEvents: 'none',
+    margin: '0',
+    padding: '0'
+};
+
+let accessibleIdCounter = 0;
+
+function nextAccessibleId() {
+    accessibleIdCounter++;
+    return `canvasui-a11y-${accessibleIdCounter}`;
+}
 
-            this.width = 300;
-            this.height = 80;
-            this.padding = 15;
+// Declarative UI definitions (see CanvasUIMark.load and save)
+
+// How each control type is built from a definition and saved back to one. Definitions
+// hold type, x, y, width, height, the props listed here, children for containers, and
+// any other control options. Callback props and options (onClick, onChange, validate,
+// ...) name a registered callback.
+const CONTROL_TYPES = {
+    Button: {
+        type: Button,
+        props: ['label', 'onClick'],
+        create: (d, options) => new Button(d.x, d.y, d.width, d.height, toLocalized(d.label) || '', d.onClick, options),
+        save: (control) => ({ label: getTextSource(control, 'label') })
+    },
+    Menu: {
+        type: Menu,
+        props: ['itemHeight', 'items'],
+        create: (d, options, callbacks) => new Menu(d.x, d.y, d.width, d.itemHeight, d.items.map(item => ({
+            label: toLocalized(item.label),
+            callback: item.onClick ? resolveCallback(item.onClick, callbacks) : undefined,
+            callbackName: item.onClick
+        })), options),
+        save: (control) => ({
+            width: control.itemWidth,
+            height: undefined,
+            itemHeight: control.itemHeight,
+            items: control.items.map(item => ({ label: getTextSource(item, 'label'), onClick: item.callbackName }))
+        })
+    },
+    Toggle: {
+        type: Toggle,
+        props: ['label', 'value', 'onChange'],
+        create: (d, options) => new Toggle(d.x, d.y, d.width, d.height, toLocalized(d.label) || '', !!d.value, d.onChange, options),
+        save: (control) => ({ label: getTextSource(control, 'label'), value: control.value })
+    },
+    TextInput: {
+        type: TextInput,
+        props: ['placeholder', 'value'],
+        create: (d, options) => {
+            const input = new TextInput(d.x, d.y, d.width, d.height, toLocalized(d.placeholder) || '', options);
+            // Set directly so loading doesn't fire 'change' or onChange
+            if (d.value) {
+                input.value = input.filterText(String(d.value)).slice(0, input.options.maxLength);
+                input.moveCursor(input.value.length);
+            }
+            return input;
+        },
+        // Password values are never written out
+        save: (control) => ({
+            placeholder: getTextSource(control, 'placeholder'),
+            value: control.options.password ? undefined : control.value
+        })
+    },
+    Radio: {
+        type: Radio,
+        props: ['itemHeight', 'items', 'selectedIndex', 'onChange'],
+        create: (d, options) => new Radio(d.x, d.y, d.width, d.itemHeight, d.items.map(toLocalized), d.selectedIndex || 0, d.onChange, options),
+        save: (control) => ({
+            height: undefined,
+            itemHeight: control.itemHeight,
+            items: control.items.map((item, i) => getTextSource(control.items, i)),
+            selectedIndex: control.selectedIndex
+        })
+    },
+    Slider: {
+        type: Slider,
+        props: ['min', 'max', 'value', 'step', 'label', 'onChange'],
+        create: (d, options) => {
+            const min = d.min !== undefined ? d.min : 0;
+            const max = d.max !== undefined ? d.max : 100;
+            const value = d.value !== undefined ? d.value : min;
+            return new Slider(d.x, d.y, d.width, d.height, min, max, value, d.step || 1, toLocalized(d.label) || '', d.onChange, options);
+        },
+        save: (control) => ({ min: control.min, max: control.max, value: control.value, step: control.step, label: getTextSource(control, 'label') })
+    },
+    Panel: { type: Panel, props: [], create: (d, options) => new Panel(d.x, d.y, d.width, d.height, options), save: () => ({}) },
+    VBox: { type: VBox, props: [], create: (d, options) => new VBox(d.x, d.y, d.width, d.height, options), save: () => ({}) },
+    HBox: { type: HBox, props: [], create: (d, options) => new HBox(d.x, d.y, d.width, d.height, options), save: () => ({}) },
+    Grid: { type: Grid, props: [], create: (d, options) => new Grid(d.x, d.y, d.width, d.height, options), save: () => ({}) }
+};
+
+// Keys every definition may have that aren't control options. A child's layoutOptions
+// (grow, align) are under layoutOptions, as layout is a Panel's own option.
+const DEFINITION_KEYS = ['type', 'x', 'y', 'width', 'height', 'children', 'layoutOptions'];
+
+// Make a custom control loadable: create(definition, options, callbacks) builds it,
+// save(control) returns its props. props lists the definition keys that aren't options.
+export function registerControlType(name, { type, props = [], create, save = () => ({}) }) {
+    CONTROL_TYPES[name] = { type, props, create, save };
+}
 
-            // Type-specific colors and icons
-            this.typeConfig = {
-                info: { color: '#2196F3', icon: 'ℹ' },
-                success: { color: '#4CAF50', icon: '✓' },
-                warning: { color: '#FF9800', icon: '⚠' },
-                error: { color: '#F44336', icon: '✕' }
-            };
+// The name a control class is registered under, which themes and definitions use as
+// class names don't survive minification. Control itself is 'Control'.
+function getControlTypeName(type) {
+    if (type === Control) return 'Control';
+    return Object.keys(CONTROL_TYPES).find(key => CONTROL_TYPES[key].type === type);
+}
 
-            this.config = this.typeConfig[type] || this.typeConfig.info;
-        }
+function isCallbackKey(key) {
+    return /^on[A-Z]/.test(key) || key === 'validate';
+}
 
-        draw(ctx, index) {
-            const canvas = ctx.canvas;
-            const x = canvas.width - this.width - 20;
-            const y = 20 + index * (this.height + 10);
+function resolveCallback(name, callbacks) {
+    const callback = callbacks[name];
+    if (typeof callback !== 'function') {
+        throw new Error(`Unknown callback: ${name}`);
+    }
+    return callback;
+}
 
-            // Background
-            ctx.fillStyle = '#2a2a2a';
-            ctx.fillRect(x, y, this.width, this.height);
+function createControl(definition, callbacks) {
+    const entry = CONTROL_TYPES[definition.type];
+    if (!entry) {
+        throw new Error(`Unknown control type: ${definition.type}`);
+    }
 
-            // Border with type color
-            ctx.strokeStyle = this.config.color;
-            ctx.lineWidth = 3;
-            ctx.strokeRect(x, y, this.width, this.height);
+    // Swap callback names for the functions they name
+    const resolved = {};
+    const bindings = {};
+    for (let [key, value] of Object.entries(definition)) {
+        if (isCallbackKey(key) && typeof value === 'string') {
+            resolved[key] = resolveCallback(value, callbacks);
+            bindings[key] = value;
+        } else {
+            resolved[key] = value;
+        }
+    }
 
-            // Icon circle
-            const iconSize = 40;
-            const iconX = x + this.padding + iconSize / 2;
-            const iconY = y + this.height / 2;
+    const options = {};
+    for (let [key, value] of Object.entries(resolved)) {
+        if (!DEFINITION_KEYS.includes(key) && !entry.props.includes(key)) {
+            options[key] = key === 'ariaLabel' ? toLocalized(value) : value;
+        }
+    }
 
-            ctx.fillStyle = this.config.color;
-            ctx.beginPath();
-            ctx.arc(iconX, iconY, iconSize / 2, 0, Math.PI * 2);
-            ctx.fill();
+    const control = entry.create(resolved, options, callbacks);
+    control.bindings = bindings;
+    for (let child of definition.children || []) {
+        control.addChild(createControl(child, callbacks), child.layoutOptions);
+    }
+    return control;
+}
 
-            // Icon
-            ctx.font = 'bold 24px Arial';
-            ctx.fillStyle = '#ffffff';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(this.config.icon, iconX, iconY);
+// Option values that survive JSON: functions, regular expressions, controls (navUp, ...)
+// and non-finite numbers are left out
+function isSavable(value) {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'function' || value instanceof RegExp || value instanceof Control) return false;
+    if (typeof value === 'number') return Number.isFinite(value);
+    return true;
+}
 
-            // Message
-            ctx.font = '14px Arial';
-            ctx.fillStyle = '#ffffff';
-            ctx.textAlign = 'left';
-            ctx.textBaseline = 'middle';
-            
-            // Word wrap
-            const maxWidth = this.width - iconSize - this.padding * 3;
-            const messageX = x + iconSize + this.padding * 2;
-            const words = this.message.split(' ');
-            let line = '';
-            let lines = [];
-
-            for (let word of words) {
-                const testLine = line + word + ' ';
-                const metrics = ctx.measureText(testLine);
-                if (metrics.width > maxWidth && line !== '') {
-                    lines.push(line);
-                    line = word + ' ';
-                } else {
-                    line = testLine;
-                }
-            }
-            lines.push(line);
+function saveControl(control) {
+    const name = getControlTypeName(control.constructor);
+    if (!name) {
+        throw new Error(`Control type is not registered: ${control.constructor.name}`);
+    }
+    const position = control.anchor ? control.anchorOffset : control;
+    const size = control.parent ? control.parent.getPreferredSize(control) : control;
+    const definition = {
+        type: name,
+        x: position.x,
+        y: position.y,
+        width: size.width,
+        height: size.height,
+        ...CONTROL_TYPES[name].save(control)
+    };
+    // Only options that differ from the control's defaults
+    for (let [key, value] of Object.entries(control.styleOverrides)) {
+        if (isSavable(value) && JSON.stringify(value) !== JSON.stringify(control.defaults[key])) {
+            definition[key] = value;
+        }
+    }
+    Object.assign(definition, control.bindings);
 
-            // Draw lines centered vertically
-            const lineHeight = 18;
-            const totalHeight = lines.length * lineHeight;
-            let messageY = y + (this.height - totalHeight) / 2 + lineHeight / 2;
+    if (Object.keys(control.layoutOptions).length > 0) {
+        definition.layoutOptions = { ...control.layoutOptions };
+    }
+    if (control.children && control.children.length > 0) {
+        definition.children = control.children.map(child => saveControl(child));
+    }
 
-            for (let line of lines) {
-                ctx.fillText(line.trim(), messageX, messageY);
-                messageY += lineHeight;
-            }
+    // Drop props a type leaves out (e.g. a Menu's height comes from its items)
+    for (let key of Object.keys(definition)) {
+        if (definition[key] === undefined) {
+            delete definition[key];
         }
     }
+    return definition;
+}
+
+function saveScreen(screen) {
+    const definition = { name: screen.name };
+    if (screen.transition) {
+        definition.transition = screen.transition;
+    }
+    Object.assign(definition, screen.bindings);
+
+    definition.controls = screen.controls.filter(control => !control.parent).map(control => saveControl(control));
+    definition.texts = screen.texts.map(text => ({
+        text: getTextSource(text, 'text'),
+        x: text.anchor ? text.anchorOffset.x : text.x,
+        y: text.anchor ? text.anchorOffset.y : text.y,
+        font: text.font,
+        color: text.color,
+        align: text.align,
+        baseline: text.baseline,
+        ...(text.markup ? { markup: true } : {}),
+        ...(text.textEffects ? { textEffects: text.textEffects } : {}),
+        ...(text.maxWidth ? { maxWidth: text.maxWidth } : {}),
+        ...(text.lineHeight ? { lineHeight: text.lineHeight } : {}),
+        ...(text.anchor ? { anchor: text.anchor } : {})
+    }));
+    definition.images = screen.images.map(image => ({
+        src: image.image.src,
+        x: image.anchor ? image.anchorOffset.x : image.x,
+        y: image.anchor ? image.anchorOffset.y : image.y,
+        width: image.width,
+        height: image.height,
+        ...(image.anchor ? { anchor: image.anchor } : {})
+    }));
+    return definition;
+}